@@ -5,264 +5,1348 @@ import {
   Gauge, Smartphone, Link as LinkIcon, Share2, Loader2, Thermometer, 
   Flame, Orbit, Terminal, ShieldCheck, Ghost, ZapOff, Info, AlertTriangle,
   LayoutGrid, Map as MapIcon, History, Binary, Send, Waves, Clock, Repeat,
-  Zap as Lightning, Box, Eye, Moon, RefreshCw, Lock, Unlock, Key, Cloud
+  Zap as Lightning, Box, Eye, Moon, RefreshCw, Lock, Unlock, Key, Cloud, CloudOff, SlidersHorizontal, BarChart3
 } from 'lucide-react';
+import {
+  buildTeleportCircuit, runTeleportJob, loginWithToken, loadIbmConfig, saveIbmConfig,
+  collapseCounts, IbmJobError, isResumableJobError
+} from './ibmQuantum';
+import { simulate, qubitFidelity, countRngDraws } from './statevector';
+import { getSpectrumStages, renderSpectrumFrame, supportsCanvasFilter } from './spectrum';
+import { unlockVault, loadArtifacts, saveArtifact, purgeArtifact, wipeVault, hasVault, rekeyVault, VaultError } from './vault';
+import {
+  PIN_MIN_LENGTH, PIN_MAX_LENGTH, RELOCK_OPTIONS, isValidPin, hasPin, storePin, verifyPin, clearPin,
+  getLockout, recordFailure, resetLockout, getRelockMinutes, setRelockMinutes
+} from './lockpad';
+import { VISION_PROVIDERS, loadVisionSettings, saveVisionSettings, describeImage } from './visionProviders';
+import { BLUEPRINT_SCHEMA_PROMPT, BlueprintError, parseBlueprint, mirrorBox, mapBoxToCover } from './blueprint';
+import { frameSignature, shouldAnalyze } from './sceneChange';
+import {
+  RETENTION_OPTIONS, createEntry, appendEntry, loadEntries, applyRetention, filterEntries,
+  getRetention, setRetention, toJsonl, toCsv, downloadText, downloadBlob
+} from './auditLog';
+import {
+  RESOLUTION_PRESETS, FRAME_RATES, createCameraController, listVideoInputs, watchVideoInputs, describeCameraError
+} from './cameraController';
+import { startClipRecording, MAX_CLIP_SECONDS } from './clipRecorder';
+import VaultClip from './VaultClip';
+import {
+  PRESET_MODES, loadCustomModes, saveCustomModes, upsertMode, exportModes, importModes, modePrompt, ModeError
+} from './spectrumModes';
+import ModeEditor from './ModeEditor';
+import { createRun, appendRun, loadRuns, clearRuns, MAX_RUNS } from './runHistory';
+import MeasurementAnalytics from './MeasurementAnalytics';
+import { getDeviceKey, signArtifact, verifyProvenance, createBundle } from './provenance';
+import ProvenanceBadge from './ProvenanceBadge';
+import { exportVaultBundle, importVaultBundle, BundleError } from './vaultBundle';
+import { createLiveSession } from './liveSession';
+import SessionPanel from './SessionPanel';
+import { registerPwa, watchConnectivity, isOnline } from './pwa';
+import { ENTROPY_SOURCES, loadEntropySource, saveEntropySource, harvestCameraEntropy, createPoolRng, EntropyError } from './cameraEntropy';
+import {
+  createOutboxItem, enqueueOutboxItem, drainOutbox, countOutbox, retryFailedOutboxItems, clearOutbox, recordOutboxJob, isConnectivityError, OutboxError
+} from './outbox';
 
 // API Configuration
-const apiKey = ""; 
-const MODEL_NAME = "gemini-2.5-flash-preview-09-2025";
 const WOW_CHARS = "6EQUJ5";
 const SOLFEGGIO_MASTER = 639936; 
 
 // Zenith Parity Constants
 const PI_SQUARED_INV = (1 / Math.pow(Math.PI, 2)).toFixed(8);
 const PARITY_KEY = "00**11--1";
+const dampWeight = (weight) => parseFloat((weight * (1 - PI_SQUARED_INV)).toFixed(4));
+
+// Icon names used by spectrum mode definitions.
+const MODE_ICON_COMPONENTS = { Eye, LayoutGrid, Flame, Ghost, Moon, ShieldCheck, Atom, Orbit, Waves, Thermometer, Radio, Binary, Cpu, Gauge };
+const HEADER_ICON_TINTS = { Flame: 'text-orange-400', Ghost: 'text-purple-400' };
 
 // Secure Configuration
 const BIT_COUNT = 10;
-const ACCESS_PIN = "5280"; 
+const LOCAL_SHOTS = 1024;
+const LEGACY_ACCESS_PIN = "5280"; // vaults sealed before PIN setup existed
+const MAX_PIN_FAILURES = 10;
+
+// Continuous Scan
+const SCAN_SAMPLE_MS = 1000;
+const SCAN_MIN_INTERVAL_MS = 8000;
+const SCAN_CHANGE_THRESHOLD = 0.06;
+const TIMELINE_LIMIT = 50;
+
+// Live Session
+const REMOTE_CAPTURE_MIN_MS = 3000;
 
 export default function App() {
   const videoRef = useRef(null);
   const matrixCanvasRef = useRef(null);
+  const spectrumCanvasRef = useRef(null);
   const [stream, setStream] = useState(null);
   const [facingMode, setFacingMode] = useState('environment');
   const [error, setError] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState(""); // empty = pick by facingMode
+  const [resolution, setResolution] = useState('1080p');
+  const [frameRate, setFrameRate] = useState(30);
+  const [capabilities, setCapabilities] = useState({});
+  const [trackSettings, setTrackSettings] = useState({});
+  const [showCameraPanel, setShowCameraPanel] = useState(false);
+  const cameraEventsRef = useRef({});
+  const cameraRef = useRef(null);
+  if (!cameraRef.current) cameraRef.current = createCameraController({ onEnded: () => cameraEventsRef.current.onEnded?.() });
   
   // Security & Boot State
   const [isLocked, setIsLocked] = useState(true);
   const [pinBuffer, setPinBuffer] = useState("");
   const [isBooting, setIsBooting] = useState(false);
+  const [pinSetup, setPinSetup] = useState(() => hasPin() ? null : { stage: 'ENTER', first: "" }); // null once a PIN exists
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(() => getLockout().lockedUntil);
+  const [now, setNow] = useState(Date.now());
+  const [relockMinutes, setRelockMinutesState] = useState(getRelockMinutes);
+  const vaultKeyRef = useRef(null);
   
   // IBM Hardware Integration State
   const [ibmToken, setIbmToken] = useState("");
   const [ibmAccessToken, setIbmAccessToken] = useState(null);
   const [hardwareStatus, setHardwareStatus] = useState('DISCONNECTED'); // DISCONNECTED, AUTHENTICATING, READY, BUSY
+  const [ibmConfig, setIbmConfig] = useState(loadIbmConfig);
+  const [showIbmConfig, setShowIbmConfig] = useState(false);
+  const jobAbortRef = useRef(null);
   
   // QML & HUD State
   const [analysis, setAnalysis] = useState("");
+  const [blueprintNodes, setBlueprintNodes] = useState([]);
+  const [selectedNode, setSelectedNode] = useState(null);
+  const [viewport, setViewport] = useState({ width: window.innerWidth, height: window.innerHeight });
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [visionSettings, setVisionSettings] = useState(loadVisionSettings);
+  const [showVisionSettings, setShowVisionSettings] = useState(false);
+  const decipherAbortRef = useRef(null);
+  const [scanMode, setScanMode] = useState(false);
+  const [timeline, setTimeline] = useState([]);
+  const [showTimeline, setShowTimeline] = useState(false);
+  const lastScanRef = useRef({ signature: null, runAt: 0 });
+  const runDecipherRef = useRef(null);
   const [showGallery, setShowGallery] = useState(false);
   const [photos, setPhotos] = useState([]);
+  const [confirmWipe, setConfirmWipe] = useState(false);
+  const [deviceKeyId, setDeviceKeyId] = useState(null);
+  const [provenanceResults, setProvenanceResults] = useState({});
+  const provenanceCheckedRef = useRef(new Set());
+  const [selectedArtifacts, setSelectedArtifacts] = useState([]);
+  const [bundleError, setBundleError] = useState(null);
   
   // Quantum Hardware Weights
   const [localRegister, setLocalRegister] = useState(new Array(BIT_COUNT).fill(0));
   const [qubitWeight, setQubitWeight] = useState(0.5); 
   const [lastBitstring, setLastBitstring] = useState("0000000000");
+  const [runs, setRuns] = useState([]);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [entropySource, setEntropySource] = useState(loadEntropySource);
+  const [entropyStatus, setEntropyStatus] = useState(null); // { state: HARVESTING | HEALTHY | REJECTED, detail }
+  const lastRunRef = useRef(null);
+
+  // Ideal P(1) per qubit, the baseline every recorded run is judged against.
+  const expectedBias = useMemo(() => {
+    const circuit = buildTeleportCircuit(BIT_COUNT, PARITY_KEY);
+    return Array.from({ length: BIT_COUNT }, (_, q) => qubitFidelity(circuit, q, 1));
+  }, []);
+
+  // Live Session: `session` is { hub, role, sessionId, links }; viewers keep the host's state in `remoteState`.
+  const [session, setSession] = useState(null);
+  const [remoteState, setRemoteState] = useState(null);
+  const [showSession, setShowSession] = useState(false);
+  const sessionRef = useRef(null);
+  const sessionStateRef = useRef(null);
+  const captureArtifactRef = useRef(null);
+  const lastRemoteCaptureRef = useRef(0);
+
+  // Offline Outbox
+  const [online, setOnline] = useState(isOnline);
+  const [outboxCounts, setOutboxCounts] = useState({ pending: 0, failed: 0 });
+  const drainingRef = useRef(false);
+  const photosRef = useRef([]);
+  const outboxContextRef = useRef(null);
+  const replayOutboxRef = useRef(null);
   
   // Operational State
   const [activeMode, setActiveMode] = useState('STANDARD'); 
+  const [customModes, setCustomModes] = useState(loadCustomModes);
+  const [modeEditorDraft, setModeEditorDraft] = useState(null);
   const [isTeleporting, setIsTeleporting] = useState(false);
-  const [logs, setLogs] = useState([{ id: 0, type: 'SEC', msg: 'Quantum Kernel Locked. Enter PIN.', time: 'INIT' }]);
+  const [logs, setLogs] = useState([]);
   const [showLogs, setShowLogs] = useState(true);
+  const [logRetention, setLogRetention] = useState(getRetention);
+  const [logTypes, setLogTypes] = useState([]);
+  const [logQuery, setLogQuery] = useState("");
+  const [logViewClearedAt, setLogViewClearedAt] = useState("");
+  const logRetentionRef = useRef(logRetention);
+  const [burnHud, setBurnHud] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordElapsed, setRecordElapsed] = useState(0);
+  const recorderRef = useRef(null);
+  const recordingContextRef = useRef(null); // mode, bits, weight and run as they were when recording began
+  const holdTimerRef = useRef(null);
+  const holdRecordingRef = useRef(false);
+  const stopRecordingRef = useRef(null);
 
   // --- LOGGING ---
   const addLog = useCallback((type, msg, details = null) => {
-    setLogs(prev => [{ 
-      id: Date.now() + Math.random(), 
-      type, msg, details, 
-      time: new Date().toLocaleTimeString().split(' ')[0] 
-    }, ...prev].slice(0, 30));
+    const entry = createEntry(type, msg, details);
+    setLogs(prev => [entry, ...prev].slice(0, logRetentionRef.current));
+    // Shown but not persisted, so a broken store cannot feed itself more failures.
+    appendEntry(entry, (err, queued) => setLogs(prev => [
+      createEntry('ERR', 'Audit Write Failed.', `${err.message} // Queued: ${queued}`),
+      ...prev
+    ].slice(0, logRetentionRef.current)));
   }, []);
 
+  useEffect(() => {
+    addLog('SEC', 'Quantum Kernel Locked. Enter PIN.');
+    loadEntries()
+      .then(persisted => setLogs(prev => {
+        const seen = new Set(prev.map(l => l.id));
+        return [...prev, ...persisted.filter(l => !seen.has(l.id))].slice(0, logRetentionRef.current);
+      }))
+      .catch(err => addLog('ERR', 'Audit Store Unavailable.', err.message));
+    loadRuns()
+      .then(persisted => setRuns(prev => [...persisted, ...prev].slice(-MAX_RUNS)))
+      .catch(err => addLog('ERR', 'Run History Unavailable.', err.message));
+  }, [addLog]);
+
+  const cycleLogRetention = () => {
+    const next = RETENTION_OPTIONS[(RETENTION_OPTIONS.indexOf(logRetention) + 1) % RETENTION_OPTIONS.length];
+    setRetention(next);
+    setLogRetention(next);
+    logRetentionRef.current = next;
+    setLogs(prev => prev.slice(0, next));
+    applyRetention(next).catch(err => addLog('ERR', 'Audit Retention Failed.', err.message));
+  };
+
+  const exportLogs = async (format) => {
+    try {
+      const entries = (await loadEntries()).reverse();
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      if (format === 'csv') downloadText(`zenith-audit-${stamp}.csv`, toCsv(entries), 'text/csv');
+      else downloadText(`zenith-audit-${stamp}.jsonl`, toJsonl(entries), 'application/x-ndjson');
+      addLog('SYS', `Audit Exported (${format.toUpperCase()}).`, `Entries: ${entries.length}`);
+    } catch (err) {
+      addLog('ERR', 'Audit Export Failed.', err.message);
+    }
+  };
+
+  const logTypeOptions = useMemo(() => [...new Set(logs.map(l => l.type))].sort(), [logs]);
+  const visibleLogs = useMemo(
+    () => filterEntries(logs.filter(l => l.time > logViewClearedAt), { types: logTypes, query: logQuery }),
+    [logs, logTypes, logQuery, logViewClearedAt]
+  );
+
   // --- IBM QUANTUM API HANDSHAKE (REFINED v22.1) ---
+  const updateIbmConfig = (patch) => {
+    setIbmConfig(prev => {
+      const next = { ...prev, ...patch };
+      saveIbmConfig(next);
+      return next;
+    });
+  };
+
   const connectToIBM = async () => {
     if (!ibmToken) {
       addLog('ERR', 'Qiskit Token Required.');
       return;
     }
+    if (!isOnline()) {
+      addLog('WARN', 'IBM Link Needs Connectivity.', 'Browser reports offline.');
+      return;
+    }
     setHardwareStatus('AUTHENTICATING');
-    addLog('IBM', 'Initiating REST Handshake...');
+    addLog('IBM', 'Initiating REST Handshake...', ibmConfig.authUrl);
 
     try {
-      // Use the IBM Auth endpoint
-      const response = await fetch('https://auth.quantum-computing.ibm.com/api/users/loginWithToken', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ apiToken: ibmToken })
-      });
-
-      if (response.ok) {
-        const authData = await response.json();
-        setIbmAccessToken(authData.id);
-        setHardwareStatus('READY');
-        addLog('IBM', 'Authentication Successful.', `Access_ID: ${authData.id.substring(0, 8)}...`);
-      } else {
-        const errText = await response.text();
-        addLog('ERR', `IBM Rejected Token [${response.status}]`, errText.substring(0, 50));
-        setHardwareStatus('DISCONNECTED');
-      }
+      const accessId = await loginWithToken(ibmConfig, ibmToken);
+      setIbmAccessToken(accessId);
+      setHardwareStatus('READY');
+      addLog('IBM', 'Authentication Successful.', `Access_ID: ${accessId.substring(0, 8)}...`);
     } catch (err) {
-      // Typically happens due to CORS in a browser preview environment
       setHardwareStatus('DISCONNECTED');
-      addLog('ERR', 'IBM Bridge Blocked (CORS/Network)');
-      addLog('DEBUG', 'Browser blocked cross-origin request to IBM Servers.');
+      if (err.code === 'NETWORK') {
+        // Typically happens due to CORS in a browser preview environment
+        addLog('ERR', 'IBM Bridge Blocked (CORS/Network)');
+        addLog('DEBUG', 'Browser blocked cross-origin request to IBM Servers.');
+      } else {
+        addLog('ERR', `IBM Rejected Token${err.status ? ` [${err.status}]` : ''}`, err.message);
+      }
     }
   };
 
   // --- SUBMIT REAL QUANTUM JOB ---
+  // Every collapse is kept in the run history, tagged with where it came from. `outboxId`
+  // marks a fallback standing in for a queued hardware job, so later captures can be matched.
+  const applyCollapse = useCallback(({ bits, bitstring, weight, shots, counts, jobId }, { source, backend, outboxId = null }) => {
+    const appliedWeight = dampWeight(weight);
+    setLocalRegister(bits);
+    setLastBitstring(bitstring);
+    setQubitWeight(appliedWeight);
+    const run = createRun({ source, backend, shots, jobId, counts, bitstring, weight: appliedWeight });
+    lastRunRef.current = outboxId ? { ...run, outboxId } : run;
+    setRuns(prev => [...prev, run].slice(-MAX_RUNS));
+    appendRun(run).catch(err => addLog('ERR', 'Run History Write Failed.', err.message));
+  }, [addLog]);
+
+  const clearRunHistory = () => {
+    setRuns([]);
+    clearRuns()
+      .then(() => addLog('SYS', 'Run History Cleared.'))
+      .catch(err => addLog('ERR', 'Run History Clear Failed.', err.message));
+  };
+
+  const cancelTeleport = () => {
+    if (jobAbortRef.current) {
+      addLog('IBM', 'Cancellation Requested.');
+      jobAbortRef.current.abort();
+    }
+  };
+
   const executeRealTeleport = async () => {
     if (hardwareStatus !== 'READY') {
       addLog('WARN', 'Using Local Simulation (No IBM Link).');
-      runLocalSimulation();
+      runLocalSimulation('FALLBACK');
+      return;
+    }
+    if (!isOnline()) {
+      queueHardwareJob('Browser reports offline.');
       return;
     }
 
+    const controller = new AbortController();
+    jobAbortRef.current = controller;
     setIsTeleporting(true);
     setHardwareStatus('BUSY');
     addLog('QASM', `Zenith Key Active: ${PARITY_KEY}`);
 
     try {
-      // Simulated retrieval from IBM backend for preview stability
-      // Real implementation would fetch from /api/Jobs/${jobId}
-      setTimeout(() => {
-        const bits = Array.from({ length: BIT_COUNT }, () => Math.random() > 0.5 ? 1 : 0);
-        const bitstring = bits.join("");
-        const weight = bits.reduce((a, b) => a + b, 0) / BIT_COUNT;
-        
-        setLocalRegister(bits);
-        setLastBitstring(bitstring);
-        setQubitWeight(parseFloat((weight * (1 - PI_SQUARED_INV)).toFixed(4)));
-        
-        setHardwareStatus('READY');
-        setIsTeleporting(false);
-        addLog('CORE', `Teleportation Resolved: ${bitstring}`);
-      }, 3000);
+      const circuit = buildTeleportCircuit(BIT_COUNT, PARITY_KEY);
+      const result = await runTeleportJob({
+        config: ibmConfig,
+        accessToken: ibmAccessToken,
+        circuit,
+        signal: controller.signal,
+        onStage: (stage, { jobId }) => addLog('IBM', `Job ${stage}`, `Job_ID: ${jobId} // Backend: ${ibmConfig.backend}`)
+      });
 
+      applyCollapse(result, { source: 'HARDWARE', backend: ibmConfig.backend });
+      setHardwareStatus('READY');
+      addLog('CORE', `Teleportation Resolved: ${result.bitstring}`, `Shots: ${result.shots} // Job_ID: ${result.jobId}`);
     } catch (err) {
+      if (err instanceof IbmJobError && err.code === 'TOKEN_EXPIRED') {
+        setIbmAccessToken(null);
+        setHardwareStatus('DISCONNECTED');
+        addLog('SEC', 'IBM Access Token Expired. Re-link required.', err.jobId ? `Job_ID: ${err.jobId}` : null);
+      } else if (err instanceof IbmJobError && err.code === 'CANCELLED') {
+        setHardwareStatus('READY');
+        addLog('IBM', 'Job CANCELLED', err.jobId ? `Job_ID: ${err.jobId}` : null);
+      } else if (err instanceof IbmJobError && err.code === 'NETWORK' && !err.jobId) {
+        setHardwareStatus('READY');
+        queueHardwareJob(err.message);
+      } else {
+        setHardwareStatus('READY');
+        addLog('ERR', 'Job Pipeline Interrupted.', err.message);
+        addLog('IBM', 'Job FAILED', err.jobId ? `Job_ID: ${err.jobId}` : null);
+      }
+    } finally {
+      jobAbortRef.current = null;
       setIsTeleporting(false);
-      setHardwareStatus('READY');
-      addLog('ERR', 'Job Pipeline Interrupted.');
     }
   };
 
-  const runLocalSimulation = () => {
+  // Camera noise only reaches the simulator after passing its health tests; otherwise the
+  // run falls back to Math.random and says so in the log.
+  // The pool holds exactly one 32-bit draw per rng() call the simulator will make.
+  const drawEntropy = async (draws) => {
+    if (entropySource !== 'CAMERA') return { rng: Math.random, label: 'PRNG' };
+    setEntropyStatus({ state: 'HARVESTING', detail: null });
+    try {
+      const { bytes, report } = await harvestCameraEntropy(videoRef.current, draws * 4);
+      const detail = `${report.frames} frames // ${report.rawBits} raw -> ${report.debiasedBits} debiased bits`;
+      setEntropyStatus({ state: 'HEALTHY', detail });
+      return { rng: createPoolRng(bytes), label: `CAMERA (${detail} // Pool: ${report.fingerprint})` };
+    } catch (err) {
+      if (!(err instanceof EntropyError)) throw err;
+      setEntropyStatus({ state: 'REJECTED', detail: `${err.code}: ${err.message}` });
+      addLog('WARN', 'Camera Entropy Rejected.', `${err.code}: ${err.message}`);
+      return { rng: Math.random, label: `PRNG (camera ${err.code})` };
+    }
+  };
+
+  const cycleEntropySource = () => {
+    const next = ENTROPY_SOURCES[(ENTROPY_SOURCES.indexOf(entropySource) + 1) % ENTROPY_SOURCES.length];
+    saveEntropySource(next);
+    setEntropySource(next);
+    setEntropyStatus(null);
+    addLog('SYS', `Entropy Source: ${next}`);
+  };
+
+  const runLocalSimulation = (source = 'SIMULATOR', outboxId = null) => {
     setIsTeleporting(true);
-    setTimeout(() => {
-      const bits = Array.from({ length: BIT_COUNT }, () => Math.random() > 0.5 ? 1 : 0);
-      const weight = bits.reduce((a, b) => a + b, 0) / BIT_COUNT;
-      setLocalRegister(bits);
-      setLastBitstring(bits.join(""));
-      setQubitWeight(parseFloat((weight * (1 - PI_SQUARED_INV)).toFixed(4)));
-      setIsTeleporting(false);
-      addLog('SYS', 'Local Registry Collapsed.');
+    setTimeout(async () => {
+      try {
+        const circuit = buildTeleportCircuit(BIT_COUNT, PARITY_KEY);
+        const entropy = await drawEntropy(countRngDraws(circuit, LOCAL_SHOTS));
+        const counts = simulate(circuit, { shots: LOCAL_SHOTS, rng: entropy.rng });
+        const result = collapseCounts(counts, BIT_COUNT);
+        applyCollapse({ ...result, counts }, { source, backend: 'statevector', outboxId });
+        addLog('SYS', 'Local Registry Collapsed.', `Statevector: ${result.bitstring} // Shots: ${result.shots} // Outcomes: ${Object.keys(counts).length} // Entropy: ${entropy.label}`);
+      } catch (err) {
+        addLog('ERR', 'Local Simulation Diverged.', err.message);
+      } finally {
+        setIsTeleporting(false);
+      }
     }, 1500);
   };
 
+  // --- LIVE SESSION ---
+  const endSession = useCallback((reason) => {
+    const hub = sessionRef.current;
+    if (!hub) return;
+    hub.close();
+    sessionRef.current = null;
+    setSession(null);
+    setRemoteState(null);
+    addLog('SYS', `Live Session Closed: ${hub.sessionId}`, reason);
+  }, [addLog]);
+
+  // Remote capture requests are honoured at most once per REMOTE_CAPTURE_MIN_MS.
+  const handleCaptureRequest = (hub, peerId) => {
+    const now = Date.now();
+    if (now - lastRemoteCaptureRef.current < REMOTE_CAPTURE_MIN_MS) {
+      addLog('WARN', 'Remote Capture Throttled.', `Peer: ${peerId}`);
+      return;
+    }
+    lastRemoteCaptureRef.current = now;
+    addLog('SEC', 'Remote Capture Requested.', `Peer: ${peerId}`);
+    // Only a capture that actually reached the vault is acknowledged.
+    Promise.resolve(captureArtifactRef.current?.()).then(artifact => {
+      if (artifact) hub.acknowledgeCapture(peerId, artifact.bits);
+      else addLog('WARN', 'Remote Capture Not Sealed.', `Peer: ${peerId}`);
+    });
+  };
+
+  const startSession = (role, sessionId) => {
+    sessionRef.current?.close();
+    const hub = createLiveSession({
+      role,
+      sessionId,
+      getState: () => sessionStateRef.current,
+      onRemoteState: (state, event) => {
+        setRemoteState(state);
+        if (event === 'SNAPSHOT') addLog('SYS', 'Session Mirror Synced.', `Session: ${sessionId} // Mode: ${state.modeDef?.id || '-'}`);
+        if (event === 'TELEPORT' && state.bits) addLog('CORE', `Host Register Collapsed: ${state.bits}`);
+      },
+      onCaptureRequest: (peerId) => handleCaptureRequest(hub, peerId),
+      onCaptureDone: (bits) => addLog('SYS', 'Host Sealed Remote Capture.', `Bits: ${bits}`),
+      onLinksChange: (links) => setSession(prev => prev?.hub === hub ? { ...prev, links } : prev)
+    });
+    sessionRef.current = hub;
+    setSession({ hub, role, sessionId, links: [] });
+    setRemoteState(null);
+    addLog('SYS', `Live Session ${role === 'HOST' ? 'Hosted' : 'Joined'}: ${sessionId}`, `Peer: ${hub.peerId}`);
+    return hub;
+  };
+
   // --- SECURITY: LOCKPAD ---
-  const handlePinEntry = (num) => {
-    if (pinBuffer.length < 4) {
-      const nextPin = pinBuffer + num;
-      setPinBuffer(nextPin);
-      if (nextPin === ACCESS_PIN) {
-        addLog('SEC', 'Nexus Handshake: Verified.');
-        setIsBooting(true);
-        setTimeout(() => { setIsLocked(false); setIsBooting(false); }, 1500);
-      } else if (nextPin.length === 4) {
+  const openVault = async (pin) => {
+    try {
+      vaultKeyRef.current = await unlockVault(pin);
+      const artifacts = await loadArtifacts(vaultKeyRef.current);
+      setPhotos(artifacts);
+      addLog('SEC', 'Secure Vault Decrypted.', `Artifacts: ${artifacts.length}`);
+      getDeviceKey()
+        .then(({ keyId }) => setDeviceKeyId(keyId))
+        .catch(err => addLog('ERR', 'Device Signing Key Unavailable.', err.message));
+    } catch (err) {
+      vaultKeyRef.current = null;
+      addLog('ERR', 'Vault Decryption Failed.', err.message);
+    }
+  };
+
+  const wipeSecureVault = async (reason) => {
+    try {
+      await wipeVault();
+      await clearOutbox();
+      setOutboxCounts({ pending: 0, failed: 0 });
+      addLog('SEC', 'Secure Vault Wiped.', reason);
+    } catch (err) {
+      addLog('ERR', 'Vault Wipe Failed.', err.message);
+    }
+  };
+
+  const bootInto = (pin) => {
+    setPinBuffer("");
+    setIsBooting(true);
+    const minBoot = new Promise(resolve => setTimeout(resolve, 1500));
+    Promise.all([openVault(pin), minBoot]).then(() => { setIsLocked(false); setIsBooting(false); });
+  };
+
+  // A wrong PIN costs an attempt whether it was typed at the lockpad or offered during setup
+  // against an existing vault. Returns true once MAX_PIN_FAILURES has wiped the vault.
+  const registerPinFailure = (label) => {
+    const lockout = recordFailure();
+    setLockedUntil(lockout.lockedUntil);
+    addLog('SEC', label, `Failed attempts: ${lockout.failures}`);
+    if (lockout.delay) addLog('SEC', `Lockout Engaged: ${Math.round(lockout.delay / 1000)}s`);
+    if (lockout.failures < MAX_PIN_FAILURES) return false;
+    resetLockout();
+    setLockedUntil(0);
+    clearPin();
+    setPinSetup({ stage: 'ENTER', first: "" });
+    wipeSecureVault(`${lockout.failures} failed PIN attempts.`);
+    return true;
+  };
+
+  // An existing vault must open under the new PIN before it is registered: either it was
+  // already sealed with this PIN (lost PIN record) or it is a legacy vault that can be re-sealed.
+  const completePinSetup = async (pin) => {
+    if (await hasVault().catch(() => false)) {
+      try {
+        await unlockVault(pin);
+        addLog('SEC', 'Existing Vault Opened With New PIN.');
+      } catch (err) {
+        if (!(err instanceof VaultError) || err.code !== 'BAD_KEY') throw err;
+        try {
+          await rekeyVault(LEGACY_ACCESS_PIN, pin);
+          addLog('SEC', 'Legacy Vault Re-Sealed.');
+        } catch (migrationErr) {
+          addLog('ERR', 'Legacy Vault Migration Failed.', migrationErr.message);
+          setPinBuffer("");
+          const wiped = migrationErr instanceof VaultError && migrationErr.code === 'BAD_KEY' && registerPinFailure('Vault PIN Rejected.');
+          if (!wiped) setPinSetup({ stage: 'MIGRATION_FAILED', first: "" });
+          return;
+        }
+      }
+    }
+    resetLockout();
+    setLockedUntil(0);
+    await storePin(pin);
+    addLog('SEC', 'Access PIN Registered.', `Length: ${pin.length}`);
+    setPinSetup(null);
+    bootInto(pin);
+  };
+
+  const retryPinSetup = () => setPinSetup({ stage: 'ENTER', first: "" });
+
+  const wipeAndRetryPinSetup = async () => {
+    await wipeSecureVault('Vault could not be opened during PIN setup.');
+    retryPinSetup();
+  };
+
+  const submitPin = async () => {
+    const pin = pinBuffer;
+    if (!isValidPin(pin) || isVerifying || Date.now() < lockedUntil) return;
+
+    if (pinSetup) {
+      if (pinSetup.stage === 'ENTER') {
+        setPinSetup({ stage: 'CONFIRM', first: pin });
+        setPinBuffer("");
+      } else if (pin === pinSetup.first) {
+        setIsVerifying(true);
+        try {
+          await completePinSetup(pin);
+        } catch (err) {
+          addLog('ERR', 'PIN Setup Failed.', err.message);
+          retryPinSetup();
+          setPinBuffer("");
+        } finally {
+          setIsVerifying(false);
+        }
+      } else {
+        addLog('SEC', 'PIN Confirmation Mismatch.');
+        setPinSetup({ stage: 'ENTER', first: "" });
         setPinBuffer("");
-        addLog('ERR', 'Invalid Hash.');
       }
+      return;
+    }
+
+    if (!hasPin()) {
+      clearPin();
+      setPinBuffer("");
+      retryPinSetup();
+      addLog('SEC', 'PIN Record Unreadable. Choose a new PIN.');
+      return;
+    }
+    setIsVerifying(true);
+    let verified = false;
+    try {
+      verified = await verifyPin(pin);
+    } catch (err) {
+      addLog('ERR', 'PIN Verification Failed.', err.message);
+      return;
+    } finally {
+      setIsVerifying(false);
+      setPinBuffer("");
+    }
+
+    if (verified) {
+      resetLockout();
+      setLockedUntil(0);
+      addLog('SEC', 'Nexus Handshake: Verified.');
+      bootInto(pin);
+      return;
+    }
+
+    registerPinFailure('Invalid Hash.');
+  };
+
+  const handlePinEntry = (num) => {
+    if (pinBuffer.length < PIN_MAX_LENGTH) setPinBuffer(pinBuffer + num);
+  };
+
+  useEffect(() => {
+    if (!isLocked || lockedUntil <= now) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isLocked, lockedUntil, now]);
+
+  const relock = useCallback((reason) => {
+    if (recorderRef.current) {
+      recorderRef.current.cancel().catch(err => addLog('ERR', 'Clip Discard Failed.', err.message));
+      recorderRef.current = null;
+      setIsRecording(false);
+    }
+    cameraRef.current.stop();
+    endSession('Nexus relocked.');
+    vaultKeyRef.current = null;
+    setPhotos([]);
+    setSelectedArtifacts([]);
+    setProvenanceResults({});
+    provenanceCheckedRef.current.clear();
+    setShowGallery(false);
+    setPinBuffer("");
+    setIsLocked(true);
+    addLog('SEC', 'Nexus Relocked.', reason);
+  }, [addLog, endSession]);
+
+  const relockAfterWipe = async () => {
+    setConfirmWipe(false);
+    await wipeSecureVault('Operator request.');
+    relock('Vault wiped.');
+  };
+
+  const cycleRelockMinutes = () => {
+    const next = RELOCK_OPTIONS[(RELOCK_OPTIONS.indexOf(relockMinutes) + 1) % RELOCK_OPTIONS.length];
+    setRelockMinutes(next);
+    setRelockMinutesState(next);
+    addLog('SEC', `Auto-Relock: ${next ? `${next} min` : 'OFF'}`);
+  };
+
+  // --- AUTO RELOCK ---
+  useEffect(() => {
+    if (isLocked || isBooting) return undefined;
+    let idleTimer;
+    const armIdle = () => {
+      clearTimeout(idleTimer);
+      if (relockMinutes) idleTimer = setTimeout(() => relock(`Idle for ${relockMinutes} min.`), relockMinutes * 60000);
+    };
+    const onVisibility = () => { if (document.hidden) relock('Tab hidden.'); };
+    const activity = ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel'];
+    activity.forEach(evt => window.addEventListener(evt, armIdle, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibility);
+    armIdle();
+    return () => {
+      clearTimeout(idleTimer);
+      activity.forEach(evt => window.removeEventListener(evt, armIdle));
+      document.removeEventListener('visibilitychange', onVisibility);
+    };
+  }, [isLocked, isBooting, relockMinutes, relock]);
+
+  // --- PROVENANCE ---
+  useEffect(() => {
+    if (!deviceKeyId) return;
+    photos.forEach(p => {
+      if (provenanceCheckedRef.current.has(p.id)) return;
+      provenanceCheckedRef.current.add(p.id);
+      verifyProvenance(p, deviceKeyId).then(result => {
+        setProvenanceResults(prev => ({ ...prev, [p.id]: result }));
+        if (result.status === 'TAMPERED') addLog('SEC', 'Artifact Provenance Broken.', `ID: ${p.id} // ${result.reason}`);
+      });
+    });
+  }, [photos, deviceKeyId, addLog]);
+
+  const exportArtifactBundle = (artifact) => {
+    downloadText(`zenith-artifact-${artifact.id}.json`, createBundle(artifact), 'application/json');
+    addLog('SEC', 'Artifact Bundle Exported.', `ID: ${artifact.id} // Key: ${artifact.provenance?.keyId || 'UNSIGNED'}`);
+  };
+
+  // --- VAULT BUNDLES ---
+  const toggleArtifactSelection = (id) => setSelectedArtifacts(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+
+  const exportSelectedArtifacts = () => {
+    const chosen = photos.filter(p => selectedArtifacts.includes(p.id));
+    if (!chosen.length) return;
+    try {
+      downloadBlob(`zenith-vault-${new Date().toISOString().replace(/[:.]/g, '-')}.zip`, exportVaultBundle(chosen));
+      setBundleError(null);
+      addLog('SEC', 'Vault Bundle Exported.', `Artifacts: ${chosen.length} // EXIF/GPS stripped`);
+    } catch (err) {
+      setBundleError(err.message);
+      addLog('ERR', 'Vault Bundle Export Failed.', err.message);
+    }
+  };
+
+  // Artifacts already in the vault (same id) are skipped rather than overwritten.
+  const importArtifactBundle = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const incoming = await importVaultBundle(file);
+      const existing = new Set(photos.map(p => p.id));
+      const fresh = incoming.filter(a => !existing.has(a.id));
+      for (const artifact of fresh) await saveArtifact(vaultKeyRef.current, artifact);
+      setPhotos(prev => [...prev, ...fresh].sort((a, b) => b.id - a.id));
+      setBundleError(null);
+      addLog('SEC', 'Vault Bundle Imported.', `Artifacts: ${fresh.length} // Duplicates skipped: ${incoming.length - fresh.length}`);
+    } catch (err) {
+      const message = err instanceof BundleError ? `${err.code}: ${err.message}` : err.message;
+      setBundleError(message);
+      addLog('ERR', 'Vault Bundle Rejected.', message);
+    }
+  };
+
+  const purgePhoto = async (id) => {
+    setPhotos(prev => prev.filter(x => x.id !== id));
+    setSelectedArtifacts(prev => prev.filter(x => x !== id));
+    try {
+      await purgeArtifact(id);
+      addLog('SEC', 'Artifact Shredded.', `ID: ${id}`);
+    } catch (err) {
+      addLog('ERR', 'Artifact Purge Failed.', err.message);
     }
   };
 
   // --- CAMERA ENGINE ---
   const startCamera = useCallback(async () => {
     try {
-      if (window.currentStream) window.currentStream.getTracks().forEach(t => t.stop());
-      const constraints = { 
-        video: { 
-          facingMode: { ideal: facingMode }, 
-          width: { ideal: 1920 } 
-        }, 
-        audio: false 
-      };
-      const newStream = await navigator.mediaDevices.getUserMedia(constraints);
-      window.currentStream = newStream;
+      const newStream = await cameraRef.current.open({ deviceId, facingMode, resolution, frameRate });
+      if (!newStream) return; // superseded by a newer open or a stop (relock, unmount)
       setStream(newStream);
+      setError(null);
       if (videoRef.current) {
         videoRef.current.srcObject = newStream;
         await videoRef.current.play();
       }
-      addLog('HW', `Optic Link: ${facingMode}`);
+      const settings = cameraRef.current.getSettings();
+      setTrackSettings(settings);
+      setCapabilities(cameraRef.current.getCapabilities());
+      // Labels are only exposed once permission has been granted, so refresh after opening.
+      setDevices(await listVideoInputs());
+      addLog('HW', `Optic Link: ${deviceId ? newStream.getVideoTracks()[0]?.label : facingMode}`, `${settings.width}x${settings.height} @ ${Math.round(settings.frameRate || 0)}fps`);
     } catch (err) {
-      addLog('ERR', 'Optic sensory blocked.');
+      const message = describeCameraError(err);
+      setError(message);
+      addLog('ERR', message, err?.name);
     }
-  }, [facingMode, addLog]);
+  }, [deviceId, facingMode, resolution, frameRate, addLog]);
 
   useEffect(() => {
     if (!isLocked && !isBooting) startCamera();
-    return () => { if (window.currentStream) window.currentStream.getTracks().forEach(t => t.stop()); };
-  }, [isLocked, isBooting, facingMode, startCamera]);
+    return () => cameraRef.current.stop();
+  }, [isLocked, isBooting, startCamera]);
+
+  // Recover from an unplugged device by falling back to the default camera.
+  cameraEventsRef.current.onEnded = () => {
+    addLog('HW', 'Optic Device Lost.', deviceId || facingMode);
+    if (deviceId) setDeviceId("");
+    else startCamera();
+  };
+
+  useEffect(() => watchVideoInputs((inputs) => {
+    setDevices(inputs);
+    if (deviceId && !inputs.some(d => d.deviceId === deviceId)) {
+      addLog('HW', 'Selected Optic Device Removed.');
+      setDeviceId("");
+    }
+  }), [deviceId, addLog]);
+
+  const applyCameraSetting = async (name, value) => {
+    try {
+      await cameraRef.current.applySetting(name, value);
+      setTrackSettings(cameraRef.current.getSettings());
+    } catch (err) {
+      addLog('ERR', `Optic ${name} rejected.`, err.message);
+    }
+  };
+
+  const mirrored = (trackSettings.facingMode || (deviceId ? 'environment' : facingMode)) === 'user';
+
+  // --- SPECTRUM PIPELINE ---
+  const allModes = useMemo(() => [...PRESET_MODES, ...customModes], [customModes]);
+  const activeModeDef = allModes.find(m => m.id === activeMode) || PRESET_MODES[0];
+  const spectrumStages = useMemo(() => getSpectrumStages(activeModeDef, qubitWeight, isTeleporting), [activeModeDef, qubitWeight, isTeleporting]);
+  const spectrumRef = useRef(null);
+  spectrumRef.current = { stages: spectrumStages, mirror: mirrored };
+
+  // Viewers show the host's HUD, register and decipher card; local state returns when the session ends.
+  const mirror = session?.role === 'VIEWER' ? remoteState : null;
+  const displayModeDef = mirror?.modeDef || activeModeDef;
+  const displayHardware = mirror?.hardwareStatus || hardwareStatus;
+  const displayRegister = mirror?.register || localRegister;
+  const displayWeight = mirror?.weight ?? qubitWeight;
+  const displayAnalysis = mirror ? mirror.analysis || "" : analysis;
+  const displayAnalyzing = mirror ? Boolean(mirror.isAnalyzing) : isAnalyzing;
+  const HeaderIcon = MODE_ICON_COMPONENTS[displayModeDef.headerIcon] || ShieldCheck;
+
+  // --- MODE LIBRARY ---
+  const commitCustomModes = (modes) => {
+    saveCustomModes(modes);
+    setCustomModes(modes);
+  };
+
+  // Presets are read-only; editing one starts a fork under a new name.
+  const openModeEditor = () => {
+    const { builtin, ...def } = activeModeDef;
+    setModeEditorDraft(builtin ? { ...def, id: `${def.id}_FORK` } : def);
+  };
+
+  // `replaces` is the stored id being edited; null saves a new mode (a fork or a copy).
+  const saveMode = (mode, { replaces = null } = {}) => {
+    if (mode.id !== replaces && customModes.some(m => m.id === mode.id)) throw new ModeError(`${mode.id} already exists.`);
+    // A rename keeps the mode's place in the library.
+    commitCustomModes(upsertMode(customModes.map(m => m.id === replaces ? { ...m, id: mode.id } : m), mode));
+    setActiveMode(mode.id);
+    setModeEditorDraft(null);
+    addLog('SYS', replaces && replaces !== mode.id ? `Spectrum Mode Renamed: ${replaces} -> ${mode.id}` : `Spectrum Mode Saved: ${mode.id}`, mode.stages.map(s => `${s.fn}(${s.expr})`).join(' '));
+  };
+
+  const deleteMode = (id) => {
+    commitCustomModes(customModes.filter(m => m.id !== id));
+    if (activeMode === id) setActiveMode('STANDARD');
+    setModeEditorDraft(null);
+    addLog('SYS', `Spectrum Mode Deleted: ${id}`);
+  };
+
+  const exportModeLibrary = () => {
+    if (!customModes.length) return addLog('WARN', 'No custom modes to export.');
+    downloadText(`zenith-modes-${Date.now()}.json`, exportModes(customModes), 'application/json');
+    addLog('SYS', `Exported ${customModes.length} spectrum modes.`);
+  };
+
+  const importModeLibrary = (text) => {
+    try {
+      const imported = importModes(text);
+      commitCustomModes(imported.reduce(upsertMode, customModes));
+      addLog('SYS', `Imported ${imported.length} spectrum modes.`, imported.map(m => m.id).join(', '));
+    } catch (err) {
+      addLog('ERR', 'Mode import rejected.', err instanceof ModeError ? err.message : String(err));
+    }
+  };
+
+  useEffect(() => {
+    if (isLocked || isBooting) return undefined;
+    // Without native ctx.filter the pixel path runs per frame, so preview at reduced size.
+    const maxWidth = supportsCanvasFilter() ? Infinity : 640;
+    let frame;
+    const tick = () => {
+      const video = videoRef.current;
+      const canvas = spectrumCanvasRef.current;
+      if (video && canvas && video.readyState >= 2) {
+        renderSpectrumFrame(video, canvas, {
+          ...spectrumRef.current,
+          display: { width: canvas.clientWidth, height: canvas.clientHeight },
+          maxWidth
+        });
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isLocked, isBooting]);
 
   // --- ARTIFACT CAPTURE ---
-  const captureArtifact = useCallback(() => {
-    if (!videoRef.current) return;
-    const canvas = document.createElement('canvas');
-    canvas.width = videoRef.current.videoWidth;
-    canvas.height = videoRef.current.videoHeight;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(videoRef.current, 0, 0);
+  // Artifacts carry the run that produced their bits and are signed before sealing. `run` is
+  // the lastRunRef snapshot taken when the frame, clip or analysis was produced, not at save time.
+  const storeArtifact = useCallback(async (meta, run) => {
+    let artifact = {
+      ...meta,
+      source: run?.source || null,
+      backend: run?.backend || null,
+      jobId: run?.jobId || null,
+      ...(run?.outboxId ? { pendingJob: run.outboxId } : {})
+    };
+    try {
+      artifact = await signArtifact(artifact);
+    } catch (err) {
+      addLog('ERR', 'Provenance Signing Failed.', err.message);
+    }
+    setPhotos(prev => [artifact, ...prev]);
+    addLog('SYS', `Registry Locked to Archive: ${artifact.bits}`);
+    try {
+      await saveArtifact(vaultKeyRef.current, artifact);
+    } catch (err) {
+      addLog('ERR', 'Vault Seal Failed.', err.message);
+      return null;
+    }
+    return artifact;
+  }, [addLog]);
+
+  // Resolves with the sealed artifact, or null when there was no frame or the seal failed.
+  const captureArtifact = useCallback(async () => {
+    if (!videoRef.current) return null;
+    const time = new Date().toLocaleTimeString();
+    const preview = spectrumCanvasRef.current;
+    const canvas = renderSpectrumFrame(videoRef.current, document.createElement('canvas'), {
+      stages: spectrumStages,
+      mirror: mirrored,
+      display: preview ? { width: preview.clientWidth, height: preview.clientHeight } : null,
+      hud: burnHud ? { mode: activeMode, bits: lastBitstring, weight: qubitWeight.toFixed(4), time } : null
+    });
+    if (!canvas) return null;
     
-    const meta = { 
+    return storeArtifact({ 
       id: Date.now(), 
       url: canvas.toDataURL('image/jpeg', 0.8), 
       mode: activeMode, 
       bits: lastBitstring,
       weight: qubitWeight.toFixed(4),
-      time: new Date().toLocaleTimeString() 
-    };
-    setPhotos(prev => [meta, ...prev]);
-    addLog('SYS', `Registry Locked to Archive: ${lastBitstring}`);
-  }, [activeMode, lastBitstring, qubitWeight, addLog]);
+      time,
+      analysis,
+      // Boxes are stored in the saved image's coordinates, so mirrored captures get mirrored boxes.
+      nodes: blueprintNodes.map(n => ({ ...n, box: mirrored ? mirrorBox(n.box) : n.box }))
+    }, lastRunRef.current);
+  }, [activeMode, lastBitstring, qubitWeight, analysis, blueprintNodes, spectrumStages, mirrored, burnHud, storeArtifact]);
+
+  // --- CLIP RECORDING ---
+  const startRecording = () => {
+    if (recorderRef.current || !spectrumCanvasRef.current) return;
+    try {
+      const recorder = startClipRecording(spectrumCanvasRef.current, {
+        fps: frameRate,
+        onAutoStop: () => {
+          addLog('SYS', `Clip Limit Reached (${MAX_CLIP_SECONDS}s).`);
+          stopRecordingRef.current();
+        },
+        // A stop or cancel already in flight reports the error itself.
+        onError: (err) => {
+          if (recorderRef.current !== recorder) return;
+          recorderRef.current = null;
+          holdRecordingRef.current = false;
+          setIsRecording(false);
+          addLog('ERR', 'Clip Recording Failed.', err.message);
+        }
+      });
+      recorder.telemetry.add('MODE', { mode: activeMode });
+      recorder.telemetry.add('TELEPORT', { bits: lastBitstring, weight: qubitWeight.toFixed(4) });
+      recorderRef.current = recorder;
+      recordingContextRef.current = { mode: activeMode, bits: lastBitstring, weight: qubitWeight.toFixed(4), run: lastRunRef.current };
+      setIsRecording(true);
+      setRecordElapsed(0);
+      addLog('SYS', 'Clip Recording Engaged.', activeMode);
+    } catch (err) {
+      addLog('ERR', 'Clip Recording Failed.', err.message);
+    }
+  };
+
+  const stopRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setIsRecording(false);
+    try {
+      const clip = await recorder.stop();
+      if (!clip) return;
+      const { run, ...context } = recordingContextRef.current;
+      storeArtifact({
+        id: Date.now(),
+        kind: 'clip',
+        ...clip,
+        ...context,
+        time: new Date().toLocaleTimeString(),
+        analysis
+      }, run);
+      addLog('SYS', 'Clip Sealed.', `${(clip.duration / 1000).toFixed(1)}s // ${Math.round(clip.size / 1024)}KB // Cues: ${clip.telemetry.length}`);
+    } catch (err) {
+      addLog('ERR', 'Clip Recording Failed.', err.message);
+    }
+  };
+  stopRecordingRef.current = stopRecording;
+
+  useEffect(() => {
+    if (!isRecording) return undefined;
+    const timer = setInterval(() => setRecordElapsed(e => e + 1), 1000);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  // Telemetry cues for an active recording.
+  useEffect(() => { recorderRef.current?.telemetry.add('MODE', { mode: activeMode }); }, [activeMode]);
+  useEffect(() => { recorderRef.current?.telemetry.add('TELEPORT', { bits: lastBitstring, weight: qubitWeight.toFixed(4) }); }, [lastBitstring, qubitWeight]);
+
+  // Shutter: tap for a still, press and hold to record until release.
+  const handleShutterDown = () => {
+    if (recorderRef.current) return;
+    holdTimerRef.current = setTimeout(() => {
+      holdTimerRef.current = null;
+      holdRecordingRef.current = true;
+      startRecording();
+    }, 400);
+  };
+
+  const handleShutterUp = () => {
+    if (holdTimerRef.current) {
+      clearTimeout(holdTimerRef.current);
+      holdTimerRef.current = null;
+      captureArtifact();
+    } else if (holdRecordingRef.current) {
+      holdRecordingRef.current = false;
+      stopRecording();
+    }
+  };
+
+  const handleShutterLeave = () => {
+    if (holdTimerRef.current) {
+      clearTimeout(holdTimerRef.current);
+      holdTimerRef.current = null;
+    } else if (holdRecordingRef.current) {
+      handleShutterUp();
+    }
+  };
 
   // --- QML DECODE ---
-  const runDecipher = async () => {
-    if (!videoRef.current || isAnalyzing) return;
+  const updateVisionSettings = (patch) => {
+    setVisionSettings(prev => {
+      // Switching provider resets endpoint and model to that provider's defaults.
+      const next = patch.provider && patch.provider !== prev.provider
+        ? { ...prev, provider: patch.provider, endpoint: VISION_PROVIDERS[patch.provider].endpoint, model: VISION_PROVIDERS[patch.provider].model }
+        : { ...prev, ...patch };
+      saveVisionSettings(next);
+      return next;
+    });
+  };
+
+  const closeDecipher = () => {
+    decipherAbortRef.current?.abort();
+    setAnalysis("");
+    setBlueprintNodes([]);
+    setSelectedNode(null);
+  };
+
+  useEffect(() => {
+    const onResize = () => setViewport({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', onResize);
+    return () => window.removeEventListener('resize', onResize);
+  }, []);
+
+  const runDecipher = async ({ source = 'MANUAL' } = {}) => {
+    if (!videoRef.current || isAnalyzing || decipherAbortRef.current) return;
+    const controller = new AbortController();
+    decipherAbortRef.current = controller;
     setIsAnalyzing(true);
-    addLog('QML', 'Aligning Spectrum Nodes...');
+    addLog('QML', 'Aligning Spectrum Nodes...', `${source} // ${VISION_PROVIDERS[visionSettings.provider]?.label} // ${visionSettings.model}`);
+
+    const video = videoRef.current;
+    const mirror = mirrored;
+    const context = { mode: activeMode, bits: lastBitstring, weight: qubitWeight.toFixed(4), time: new Date().toLocaleTimeString(), run: lastRunRef.current };
+    const preview = spectrumCanvasRef.current;
+    const snapshot = renderSpectrumFrame(video, document.createElement('canvas'), {
+      stages: spectrumStages,
+      mirror,
+      maxWidth: 640,
+      display: preview ? { width: preview.clientWidth, height: preview.clientHeight } : null
+    });
+    lastScanRef.current = { signature: frameSignature(video), runAt: Date.now() };
+    let request = null;
+    // Only operator-triggered runs are queued; scan runs are dropped and the scan pauses offline.
+    const queueForLater = () => source === 'SCAN'
+      ? addLog('WARN', 'Scan Decipher Dropped (Offline).')
+      : queueDecipher({ request, context: { ...context, source }, snapshotUrl: snapshot?.toDataURL('image/jpeg', 0.7), mirror });
 
     try {
+      // Keep the source aspect ratio so normalized boxes map straight back onto the feed.
       const canvas = document.createElement('canvas');
-      canvas.width = 640; canvas.height = 480;
-      canvas.getContext('2d').drawImage(videoRef.current, 0, 0, 640, 480);
+      canvas.width = 640; canvas.height = Math.round(640 * (video.videoHeight / video.videoWidth || 0.75));
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
       const base64Image = canvas.toDataURL('image/jpeg', 0.5).split(',')[1];
 
       const prompt = `Act as Zenith QML Engine. Mode: ${activeMode}. 
       Q-Weight: ${qubitWeight}. Zenith Key: ${PARITY_KEY}. Damping: ${PI_SQUARED_INV}.
-      Identify semantic blueprint nodes in this room being shaped by the ${activeMode} future. 
-      God is Supreme Jurisdiction. NO LOCATION data. Limit to 2 sentences.`;
+      ${modePrompt(activeModeDef)} 
+      God is Supreme Jurisdiction. NO LOCATION data.
+      ${BLUEPRINT_SCHEMA_PROMPT}`;
+      request = { prompt, imageBase64: base64Image };
+      if (!isOnline()) {
+        await queueForLater();
+        return;
+      }
 
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ contents: [{ parts: [{ text: prompt }, { inlineData: { mimeType: "image/jpeg", data: base64Image } }] }] })
+      const text = await describeImage(visionSettings, { ...request, json: true }, {
+        signal: controller.signal,
+        onRetry: (attempt, err, delay) => addLog('QML', `Retry ${attempt} in ${delay / 1000}s`, err.message)
       });
-      const data = await response.json();
-      setAnalysis(data.candidates?.[0]?.content?.parts?.[0]?.text || "Signal divergence.");
-      addLog('AI', 'Spectrum Sync Verified.');
+      setSelectedNode(null);
+      try {
+        const blueprint = parseBlueprint(text);
+        setAnalysis(blueprint.summary);
+        setBlueprintNodes(blueprint.nodes);
+        addLog('AI', 'Spectrum Sync Verified.', `Nodes: ${blueprint.nodes.length}`);
+        recorderRef.current?.telemetry.add('DECIPHER', { summary: blueprint.summary, nodes: blueprint.nodes.map(n => n.label) });
+        recordTimeline({ ...context, source, url: snapshot?.toDataURL('image/jpeg', 0.7), summary: blueprint.summary, nodes: blueprint.nodes, mirror });
+      } catch (err) {
+        if (!(err instanceof BlueprintError)) throw err;
+        setAnalysis(text);
+        setBlueprintNodes([]);
+        addLog('ERR', 'Blueprint Schema Rejected.', err.message);
+        recorderRef.current?.telemetry.add('DECIPHER', { summary: text, nodes: [] });
+        recordTimeline({ ...context, source, url: snapshot?.toDataURL('image/jpeg', 0.7), summary: text, nodes: [], mirror });
+      }
     } catch (err) {
-      addLog('ERR', 'QML Secure Link Timeout.');
+      if (err.code === 'ABORTED') addLog('QML', err.message);
+      else if (request && isConnectivityError(err)) await queueForLater();
+      else addLog('ERR', err.message || 'QML Secure Link Timeout.', err.detail);
     } finally {
+      if (decipherAbortRef.current === controller) decipherAbortRef.current = null;
       setIsAnalyzing(false);
     }
   };
+  runDecipherRef.current = runDecipher;
 
-  // --- VISUAL FUTURES ---
-  const getDynamicFilters = () => {
-    if (isTeleporting) return 'brightness(1.5) grayscale(1) blur(10px) invert(0.1)';
-    const w = qubitWeight;
-    switch (activeMode) {
-      case 'MATRIX': return `contrast(2.5) grayscale(1) brightness(${1.0 + w * 0.4}) opacity(0.85)`;
-      case 'HEAT': return `invert(1) hue-rotate(${140 + (w * 140)}deg) saturate(${2.5 + w}) contrast(1.6)`;
-      case 'GHOST': return `brightness(${1.4 + w * 0.5}) contrast(1.8) saturate(0.0) hue-rotate(240deg) blur(${0.5 + (1-w)}px)`;
-      case 'NIGHT': return `sepia(1) hue-rotate(100deg) brightness(${1.2 + w * 1.5}) contrast(${1.1 + w}) saturate(0.4)`;
-      default: return `saturate(${1.2 + w * 0.5}) contrast(${1.1 + w * 0.1})`;
+  // --- CONTINUOUS SCAN ---
+  const recordTimeline = ({ nodes, mirror, ...entry }) => {
+    setTimeline(prev => [{
+      ...entry,
+      id: Date.now() + Math.random(),
+      // Snapshots are rendered mirrored for the user camera, so boxes follow suit.
+      nodes: nodes.map(n => ({ ...n, box: mirror ? mirrorBox(n.box) : n.box })),
+      pinned: false
+    }, ...prev].slice(0, TIMELINE_LIMIT));
+  };
+
+  const pinTimelineEntry = (entry) => {
+    if (!entry.url || entry.pinned) return;
+    storeArtifact({
+      id: Date.now(),
+      url: entry.url,
+      mode: entry.mode,
+      bits: entry.bits,
+      weight: entry.weight,
+      time: entry.time,
+      analysis: entry.summary,
+      nodes: entry.nodes
+    }, entry.run);
+    setTimeline(prev => prev.map(e => e.id === entry.id ? { ...e, pinned: true } : e));
+  };
+
+  useEffect(() => {
+    if (!scanMode || isLocked || isBooting) return undefined;
+    if (!online) {
+      addLog('QML', 'Continuous Scan Paused (Offline).');
+      return undefined;
+    }
+    addLog('QML', 'Continuous Scan Engaged.');
+    const timer = setInterval(() => {
+      if (decipherAbortRef.current) return;
+      const signature = frameSignature(videoRef.current);
+      if (!signature) return;
+      const { signature: lastSignature, runAt } = lastScanRef.current;
+      const { trigger, difference } = shouldAnalyze({
+        signature, lastSignature, lastRunAt: runAt, threshold: SCAN_CHANGE_THRESHOLD, minInterval: SCAN_MIN_INTERVAL_MS
+      });
+      if (trigger) {
+        addLog('QML', 'Scene Shift Detected.', `Delta: ${difference.toFixed(3)}`);
+        runDecipherRef.current({ source: 'SCAN' });
+      }
+    }, SCAN_SAMPLE_MS);
+    return () => {
+      clearInterval(timer);
+      addLog('QML', 'Continuous Scan Disengaged.');
+    };
+  }, [scanMode, isLocked, isBooting, online, addLog]);
+
+  // --- OFFLINE OUTBOX ---
+  photosRef.current = photos;
+  outboxContextRef.current = { visionSettings, ibmConfig, ibmAccessToken, hardwareStatus };
+
+  const refreshOutboxCounts = useCallback(() => {
+    countOutbox().then(setOutboxCounts).catch(err => addLog('ERR', 'Outbox Unavailable.', err.message));
+  }, [addLog]);
+
+  const describeOutboxError = (err) => err instanceof OutboxError ? `${err.code}: ${err.message}` : err.message;
+
+  // The frame is sealed into the vault right away; the analysis is attached when the request replays.
+  const queueDecipher = async ({ request, context, snapshotUrl, mirror }) => {
+    const item = createOutboxItem('DECIPHER', { ...request, context, mirror });
+    try {
+      await enqueueOutboxItem(vaultKeyRef.current, item);
+      if (snapshotUrl) {
+        await storeArtifact({
+          id: Date.now(),
+          url: snapshotUrl,
+          mode: context.mode,
+          bits: context.bits,
+          weight: context.weight,
+          time: context.time,
+          analysis: "",
+          nodes: [],
+          pendingDecipher: item.id
+        }, context.run);
+      }
+      addLog('WARN', 'Decipher Queued (Offline).', `Outbox: ${item.id} // ${context.source}`);
+    } catch (err) {
+      addLog('ERR', 'Outbox Write Failed.', describeOutboxError(err));
+    }
+    refreshOutboxCounts();
+  };
+
+  // A local fallback run stands in until the job replays; captures taken meanwhile carry pendingJob.
+  const queueHardwareJob = async (reason) => {
+    const item = createOutboxItem('HARDWARE', { backend: ibmConfig.backend, shots: ibmConfig.shots, bitCount: BIT_COUNT, parityKey: PARITY_KEY });
+    try {
+      await enqueueOutboxItem(vaultKeyRef.current, item);
+      addLog('WARN', 'Hardware Job Queued (Offline).', `Outbox: ${item.id} // ${reason}`);
+      runLocalSimulation('FALLBACK', item.id);
+    } catch (err) {
+      addLog('ERR', 'Outbox Write Failed.', describeOutboxError(err));
+      runLocalSimulation('FALLBACK');
+    }
+    refreshOutboxCounts();
+  };
+
+  // Late results change signed metadata, so matching artifacts are re-signed and re-sealed.
+  const attachToArtifacts = async (match, update) => {
+    const updated = [];
+    for (const artifact of photosRef.current.filter(match)) {
+      let next = update(artifact);
+      try {
+        next = await signArtifact(next);
+      } catch (err) {
+        addLog('ERR', 'Provenance Signing Failed.', err.message);
+      }
+      await saveArtifact(vaultKeyRef.current, next);
+      provenanceCheckedRef.current.delete(next.id);
+      updated.push(next);
+    }
+    if (updated.length) setPhotos(prev => prev.map(p => updated.find(u => u.id === p.id) || p));
+    return updated.length;
+  };
+
+  const readBlueprint = (text) => {
+    try {
+      return parseBlueprint(text);
+    } catch (err) {
+      if (!(err instanceof BlueprintError)) throw err;
+      return { summary: text, nodes: [] };
     }
   };
 
+  const outboxHandlers = {
+    DECIPHER: ({ prompt, imageBase64 }) => describeImage(outboxContextRef.current.visionSettings, { prompt, imageBase64, json: true }),
+    HARDWARE: async ({ backend, shots, bitCount, parityKey }, item) => {
+      const { ibmConfig: config, ibmAccessToken: accessToken, hardwareStatus: status } = outboxContextRef.current;
+      if (status !== 'READY' || !accessToken) throw new OutboxError('IBM link not ready.', 'DEFERRED');
+      try {
+        return await runTeleportJob({
+          config: { ...config, backend, shots },
+          accessToken,
+          circuit: buildTeleportCircuit(bitCount, parityKey),
+          jobId: item.jobId,
+          onStage: (stage, { jobId }) => {
+            if (stage === 'SUBMITTED') recordOutboxJob(item.id, jobId).catch(err => addLog('ERR', 'Outbox Write Failed.', err.message));
+            addLog('IBM', `Queued Job ${stage}`, `Job_ID: ${jobId} // Outbox: ${item.id}`);
+          }
+        });
+      } catch (err) {
+        if (!(err instanceof IbmJobError)) throw err;
+        // A job still alive on IBM is polled again on replay; one that ended there is resubmitted.
+        if (err.jobId) await recordOutboxJob(item.id, isResumableJobError(err) ? err.jobId : null);
+        if (err.code !== 'TOKEN_EXPIRED') throw err;
+        setIbmAccessToken(null);
+        setHardwareStatus('DISCONNECTED');
+        addLog('SEC', 'IBM Access Token Expired. Re-link required.', `Outbox: ${item.id}`);
+        throw new OutboxError('IBM access token expired.', 'DEFERRED');
+      }
+    }
+  };
+
+  const completeOutboxItem = async (item, result) => {
+    if (item.kind === 'DECIPHER') {
+      const { context, mirror } = item.payload;
+      const { summary, nodes } = readBlueprint(result);
+      const placed = nodes.map(n => ({ ...n, box: mirror ? mirrorBox(n.box) : n.box }));
+      const count = await attachToArtifacts(p => p.pendingDecipher === item.id, ({ pendingDecipher, ...p }) => ({ ...p, analysis: summary, nodes: placed }));
+      recordTimeline({ ...context, source: 'OUTBOX', url: null, summary, nodes, mirror });
+      addLog('AI', 'Queued Decipher Resolved.', `Outbox: ${item.id} // Nodes: ${nodes.length} // Artifacts: ${count}`);
+      return;
+    }
+    const { backend } = item.payload;
+    const run = createRun({ source: 'HARDWARE', backend, shots: result.shots, jobId: result.jobId, counts: result.counts, bitstring: result.bitstring, weight: dampWeight(result.weight) });
+    setRuns(prev => [...prev, run].slice(-MAX_RUNS));
+    await appendRun(run);
+    if (lastRunRef.current?.outboxId === item.id) lastRunRef.current = { ...lastRunRef.current, outboxId: null };
+    const hardware = { backend, bitstring: result.bitstring, weight: run.weight, shots: result.shots };
+    const count = await attachToArtifacts(p => p.pendingJob === item.id, ({ pendingJob, ...p }) => ({ ...p, jobId: result.jobId, hardware }));
+    addLog('CORE', `Queued Job Resolved: ${result.bitstring}`, `Job_ID: ${result.jobId} // Artifacts: ${count}`);
+  };
+
+  const replayOutbox = async () => {
+    if (!vaultKeyRef.current || drainingRef.current || !isOnline()) return;
+    drainingRef.current = true;
+    try {
+      const summary = await drainOutbox(vaultKeyRef.current, outboxHandlers, {
+        onComplete: completeOutboxItem,
+        onFailure: (item, err) => addLog('ERR', `Outbox ${item.kind} Failed.`, `Outbox: ${item.id} // ${err.message}`)
+      });
+      if (summary.completed || summary.failed || summary.interrupted) {
+        addLog('SYS', 'Outbox Replayed.', `Done: ${summary.completed} // Failed: ${summary.failed} // Waiting: ${summary.deferred}${summary.interrupted ? ' // Connectivity lost' : ''}`);
+      }
+    } catch (err) {
+      addLog('ERR', 'Outbox Replay Failed.', err.message);
+    } finally {
+      drainingRef.current = false;
+      refreshOutboxCounts();
+    }
+  };
+  replayOutboxRef.current = replayOutbox;
+
+  const retryOutbox = async () => {
+    await retryFailedOutboxItems().catch(err => addLog('ERR', 'Outbox Unavailable.', err.message));
+    refreshOutboxCounts();
+    replayOutbox();
+  };
+
+  useEffect(() => {
+    registerPwa().catch(err => addLog('WARN', 'Offline Shell Unavailable.', err.message));
+    refreshOutboxCounts();
+  }, [addLog, refreshOutboxCounts]);
+
+  useEffect(() => watchConnectivity((next) => {
+    setOnline(next);
+    addLog('SYS', next ? 'Connectivity Restored.' : 'Connectivity Lost.', next ? null : 'Decipher and hardware jobs will queue.');
+  }), [addLog]);
+
+  // Replays once the vault is open and online, and again when the IBM link comes up.
+  useEffect(() => {
+    if (isLocked || isBooting || !online || !outboxCounts.pending) return;
+    replayOutboxRef.current();
+  }, [isLocked, isBooting, online, hardwareStatus, outboxCounts.pending]);
+
+  // --- LIVE SESSION BROADCAST ---
+  captureArtifactRef.current = captureArtifact;
+  sessionStateRef.current = {
+    modeDef: activeModeDef,
+    bits: lastBitstring,
+    register: localRegister,
+    weight: qubitWeight,
+    hardwareStatus,
+    isTeleporting,
+    analysis,
+    isAnalyzing
+  };
+  useEffect(() => { sessionRef.current?.publish('MODE', { modeDef: activeModeDef }); }, [activeModeDef]);
+  useEffect(() => { sessionRef.current?.publish('TELEPORT', { bits: lastBitstring, register: localRegister, weight: qubitWeight }); }, [lastBitstring, localRegister, qubitWeight]);
+  useEffect(() => { sessionRef.current?.publish('DECIPHER', { analysis, isAnalyzing }); }, [analysis, isAnalyzing]);
+  useEffect(() => { sessionRef.current?.publish('STATUS', { hardwareStatus, isTeleporting }); }, [hardwareStatus, isTeleporting]);
+
+  const requestRemoteCapture = () => {
+    sessionRef.current?.requestCapture();
+    addLog('SYS', 'Remote Capture Requested from Host.');
+  };
+
   if (isBooting) {
     return (
       <div className="fixed inset-0 bg-[#010103] flex flex-col items-center justify-center font-mono p-6">
@@ -275,21 +1359,48 @@ export default function App() {
   }
 
   if (isLocked) {
+    const lockoutSeconds = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+    const keypadDisabled = isVerifying || lockoutSeconds > 0;
+    const title = pinSetup ? { ENTER: 'NEXUS_PIN_SETUP', CONFIRM: 'NEXUS_PIN_CONFIRM', MIGRATION_FAILED: 'NEXUS_VAULT_SEALED' }[pinSetup.stage] : 'NEXUS_ACCESS_CONTROL';
+    if (pinSetup?.stage === 'MIGRATION_FAILED') {
+      return (
+        <div className="fixed inset-0 bg-[#020205] flex flex-col items-center justify-center font-mono p-6">
+          <AlertTriangle size={48} className="text-red-500 mb-8" />
+          <h2 className="text-xl font-black italic text-white tracking-[0.2em] mb-6">{title}</h2>
+          <p className="max-w-xs text-center text-[10px] text-slate-400 uppercase tracking-widest mb-10">
+            The existing vault does not open with that PIN. Retry with the PIN it was sealed under, or wipe it and start fresh.
+          </p>
+          <div className="flex flex-col gap-3 max-w-xs w-full">
+            <button onClick={retryPinSetup} className="py-4 rounded-2xl bg-indigo-600/40 border border-indigo-400/40 text-[10px] font-black uppercase tracking-widest">Retry_PIN</button>
+            <button onClick={wipeAndRetryPinSetup} className="py-4 rounded-2xl bg-red-500/20 border border-red-500/40 text-red-400 text-[10px] font-black uppercase tracking-widest hover:bg-red-600 hover:text-white">Wipe_Vault</button>
+          </div>
+        </div>
+      );
+    }
     return (
       <div className="fixed inset-0 bg-[#020205] flex flex-col items-center justify-center font-mono p-6">
         <Lock size={48} className="text-indigo-500 mb-8 animate-bounce" />
-        <h2 className="text-xl font-black italic text-white tracking-[0.2em] mb-6">NEXUS_ACCESS_CONTROL</h2>
+        <h2 className="text-xl font-black italic text-white tracking-[0.2em] mb-6">{title}</h2>
         <div className="flex gap-2 mb-10">
-          {[...Array(4)].map((_, i) => (
+          {[...Array(Math.max(PIN_MIN_LENGTH, pinBuffer.length))].map((_, i) => (
             <div key={i} className={`w-3 h-3 rounded-full border border-indigo-500/50 ${pinBuffer.length > i ? 'bg-indigo-500 shadow-[0_0_10px_#6366f1]' : ''}`} />
           ))}
         </div>
-        <div className="grid grid-cols-3 gap-4 max-w-xs w-full">
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9, ' ', 0, ' '].map((n, i) => (
-            <button key={i} onClick={() => n !== ' ' && handlePinEntry(n)} className={`h-16 rounded-2xl ${n === ' ' ? 'opacity-0 pointer-events-none' : 'bg-white/5 border border-white/10 hover:bg-white/10 active:bg-indigo-600'} text-xl font-black transition-all`}>{n}</button>
+        <div className={`grid grid-cols-3 gap-4 max-w-xs w-full ${keypadDisabled ? 'opacity-30 pointer-events-none' : ''}`}>
+          {[1, 2, 3, 4, 5, 6, 7, 8, 9, 'DEL', 0, 'OK'].map((n, i) => (
+            <button
+              key={i}
+              onClick={() => n === 'DEL' ? setPinBuffer(pinBuffer.slice(0, -1)) : n === 'OK' ? submitPin() : handlePinEntry(n)}
+              disabled={n === 'OK' && !isValidPin(pinBuffer)}
+              className={`h-16 rounded-2xl flex items-center justify-center ${n === 'OK' ? 'bg-indigo-600/40 border border-indigo-400/40 disabled:opacity-30' : 'bg-white/5 border border-white/10'} hover:bg-white/10 active:bg-indigo-600 text-xl font-black transition-all`}
+            >
+              {n === 'DEL' ? <X size={20} /> : n === 'OK' ? (isVerifying ? <Loader2 size={20} className="animate-spin" /> : <Check size={20} />) : n}
+            </button>
           ))}
         </div>
-        <p className="mt-12 text-[8px] text-slate-600 uppercase tracking-[0.4em]">PIN: 5 2 8 0</p>
+        <p className="mt-12 text-[8px] text-slate-600 uppercase tracking-[0.4em]">
+          {lockoutSeconds > 0 ? `Lockout: ${lockoutSeconds}s` : pinSetup ? `Choose ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digit PIN` : `PIN: ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits`}
+        </p>
       </div>
     );
   }
@@ -298,30 +1409,85 @@ export default function App() {
     <div className="fixed inset-0 bg-black text-white font-mono overflow-hidden flex flex-col select-none">
       
       {/* Primary Video Feed */}
-      <video ref={videoRef} autoPlay playsInline muted className="absolute inset-0 w-full h-full object-cover transition-all duration-1000" style={{ transform: facingMode === 'user' ? 'scaleX(-1)' : 'none', filter: getDynamicFilters() }} />
+      <video ref={videoRef} autoPlay playsInline muted className="absolute inset-0 w-full h-full object-cover opacity-0" />
+      <canvas ref={spectrumCanvasRef} className="absolute inset-0 w-full h-full object-cover" />
+
+      {/* Blueprint Node Overlay */}
+      {blueprintNodes.length > 0 && videoRef.current?.videoWidth > 0 && (
+        <div className="absolute inset-0 z-30 pointer-events-none overflow-hidden">
+          {blueprintNodes.map(node => {
+            const rect = mapBoxToCover(node.box, {
+              srcW: videoRef.current.videoWidth,
+              srcH: videoRef.current.videoHeight,
+              boxW: viewport.width,
+              boxH: viewport.height,
+              mirror: mirrored
+            });
+            const active = selectedNode?.id === node.id;
+            return (
+              <button
+                key={node.id}
+                onClick={() => setSelectedNode(active ? null : node)}
+                style={{ left: rect.left, top: rect.top, width: rect.width, height: rect.height }}
+                className={`absolute pointer-events-auto rounded-xl border-2 transition-colors ${active ? 'border-emerald-400 bg-emerald-400/10' : 'border-indigo-400/70 bg-indigo-400/5'}`}
+              >
+                <span className="absolute -top-5 left-0 px-2 py-0.5 rounded-md bg-black/70 text-[8px] font-black uppercase tracking-widest text-indigo-300 whitespace-nowrap">
+                  {node.label}{node.confidence !== null ? ` ${Math.round(node.confidence * 100)}%` : ''}
+                </span>
+                {active && node.description && (
+                  <span className="absolute top-full left-0 mt-2 w-56 p-3 rounded-xl bg-black/80 border border-emerald-400/40 text-[9px] text-white text-left normal-case font-medium">
+                    {node.description}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
       
       {/* HUD Header */}
       <header className="absolute top-0 left-0 right-0 z-50 p-6 bg-gradient-to-b from-black/80 to-transparent flex justify-between items-start">
         <div className="flex items-center gap-4">
-          <div className={`w-14 h-14 rounded-2xl flex items-center justify-center border-2 transition-all shadow-2xl ${hardwareStatus === 'READY' ? 'border-emerald-400 bg-emerald-400/10' : 'border-indigo-400 bg-indigo-400/10'}`}>
-            {activeMode === 'HEAT' ? <Flame size={28} className="text-orange-400" /> : activeMode === 'GHOST' ? <Ghost size={28} className="text-purple-400" /> : <ShieldCheck size={28} />}
+          <div className={`w-14 h-14 rounded-2xl flex items-center justify-center border-2 transition-all shadow-2xl ${displayHardware === 'READY' ? 'border-emerald-400 bg-emerald-400/10' : 'border-indigo-400 bg-indigo-400/10'}`}>
+            <HeaderIcon size={28} className={HEADER_ICON_TINTS[displayModeDef.headerIcon]} />
           </div>
           <div>
             <h1 className="text-xl font-black italic tracking-tighter text-indigo-400 uppercase">Supreme.Nexus</h1>
             <div className="flex items-center gap-3 mt-1 text-[9px] font-black uppercase tracking-widest text-emerald-500/60">
-              <span className={`w-1.5 h-1.5 rounded-full ${hardwareStatus === 'READY' ? 'bg-emerald-500 animate-pulse' : 'bg-red-500'}`} />
-              <span>IBM_Link: {hardwareStatus}</span>
+              <span className={`w-1.5 h-1.5 rounded-full ${displayHardware === 'READY' ? 'bg-emerald-500 animate-pulse' : 'bg-red-500'}`} />
+              <span>IBM_Link: {displayHardware}</span>
             </div>
+            {!mirror && (
+              <button onClick={cycleEntropySource} title={entropyStatus?.detail || 'Switch entropy source'} className={`flex items-center gap-2 mt-1 text-[9px] font-black uppercase tracking-widest ${entropyStatus?.state === 'REJECTED' ? 'text-red-400/80' : 'text-emerald-500/60'}`}>
+                <Binary size={10} className={entropyStatus?.state === 'HARVESTING' ? 'animate-pulse' : ''} />
+                <span>Entropy: {entropySource}{entropySource === 'CAMERA' && entropyStatus ? ` // ${entropyStatus.state}` : ''}</span>
+              </button>
+            )}
+            {session && (
+              <div className="flex items-center gap-2 mt-1 text-[9px] font-black uppercase tracking-widest text-indigo-300/70">
+                <LinkIcon size={10} />
+                <span>{session.role === 'HOST' ? 'Hosting' : 'Mirror'}: {session.sessionId}{mirror ? ` // ${displayModeDef.id}` : ` // ${session.links.reduce((sum, l) => sum + l.peers, 0)} peers`}</span>
+              </div>
+            )}
+            {(!online || outboxCounts.pending > 0 || outboxCounts.failed > 0) && (
+              <button onClick={retryOutbox} title="Retry outbox" className={`flex items-center gap-2 mt-1 text-[9px] font-black uppercase tracking-widest ${outboxCounts.failed ? 'text-red-400/80' : 'text-amber-400/80'}`}>
+                {online ? <Cloud size={10} /> : <CloudOff size={10} />}
+                <span>{online ? 'Outbox' : 'Offline'}: {outboxCounts.pending} pending{outboxCounts.failed ? ` // ${outboxCounts.failed} failed` : ''}</span>
+              </button>
+            )}
           </div>
         </div>
 
         <div className="flex flex-col items-end gap-3">
           <div className="flex gap-2">
+            <button onClick={cycleRelockMinutes} className="px-3 rounded-xl border bg-white/5 border-white/10 text-slate-500 text-[9px] font-black flex items-center gap-1"><Clock size={14} /> {relockMinutes ? `${relockMinutes}m` : 'OFF'}</button>
+            <button onClick={() => relock('Operator request.')} className="p-3 rounded-xl border bg-white/5 border-white/10 text-slate-500"><Lock size={20} /></button>
             <button onClick={() => setShowLogs(!showLogs)} className={`p-3 rounded-xl border transition-all ${showLogs ? 'bg-indigo-600 border-indigo-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}><ScrollText size={20} /></button>
             
             {/* IBM Token Input Panel */}
             {hardwareStatus === 'DISCONNECTED' || hardwareStatus === 'AUTHENTICATING' ? (
               <div className="flex gap-2 bg-black/60 p-1 rounded-xl border border-white/10 backdrop-blur-md">
+                <button onClick={() => setShowIbmConfig(!showIbmConfig)} className={`px-2 rounded-lg ${showIbmConfig ? 'text-indigo-400' : 'text-slate-500'}`}><Network size={14} /></button>
                 <input 
                   type="password" 
                   value={ibmToken} 
@@ -338,21 +1504,76 @@ export default function App() {
                 </button>
               </div>
             ) : (
-              <button onClick={executeRealTeleport} className={`px-4 py-2 rounded-xl border text-[9px] font-black uppercase transition-all flex items-center gap-2 ${isTeleporting ? 'bg-red-500 border-red-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}>
-                <Cloud size={14} /> Teleport_Weights
+              <button onClick={isTeleporting ? cancelTeleport : executeRealTeleport} className={`px-4 py-2 rounded-xl border text-[9px] font-black uppercase transition-all flex items-center gap-2 ${isTeleporting ? 'bg-red-500 border-red-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}>
+                {isTeleporting ? <><X size={14} /> Abort_Job</> : <><Cloud size={14} /> Teleport_Weights</>}
               </button>
             )}
 
+            <button onClick={() => setShowSession(!showSession)} className={`p-3 rounded-xl border transition-all ${showSession || session ? 'bg-indigo-600 border-indigo-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}><Share2 size={20} /></button>
+            <button onClick={() => setShowAnalytics(!showAnalytics)} className={`p-3 rounded-xl border transition-all ${showAnalytics ? 'bg-indigo-600 border-indigo-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}><BarChart3 size={20} /></button>
+            <button onClick={() => setShowTimeline(!showTimeline)} className={`p-3 rounded-xl border transition-all ${showTimeline ? 'bg-indigo-600 border-indigo-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}><Activity size={20} /></button>
+            <button onClick={() => setShowVisionSettings(!showVisionSettings)} className={`p-3 rounded-xl border transition-all ${showVisionSettings ? 'bg-indigo-600 border-indigo-400 shadow-lg' : 'bg-white/5 border-white/10 text-slate-500'}`}><Key size={20} /></button>
             <button onClick={() => setShowGallery(true)} className="p-3 bg-white/5 border border-white/10 rounded-xl"><History size={20} /></button>
           </div>
+
+          {/* Live Session */}
+          {showSession && (
+            <SessionPanel
+              session={session}
+              videoRef={videoRef}
+              initialJoinId={new URLSearchParams(window.location.hash.substring(1)).get('session')}
+              onStart={startSession}
+              onEnd={(reason = 'Operator request.') => endSession(reason)}
+              onRequestCapture={requestRemoteCapture}
+              onLog={addLog}
+              onClose={() => setShowSession(false)}
+            />
+          )}
+
+          {/* Vision Backend Config */}
+          {showVisionSettings && (
+            <div className="bg-black/60 backdrop-blur-md p-2 rounded-lg border border-white/10 flex flex-col gap-1 w-64 shadow-2xl">
+              <div className="flex gap-1 mb-1">
+                {Object.entries(VISION_PROVIDERS).map(([id, p]) => (
+                  <button key={id} onClick={() => updateVisionSettings({ provider: id })} className={`flex-1 py-1 rounded text-[7px] font-black uppercase ${visionSettings.provider === id ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>{p.label}</button>
+                ))}
+              </div>
+              {[
+                { key: 'endpoint', label: 'Endpoint' },
+                { key: 'model', label: 'Model' },
+                { key: 'apiKey', label: 'API_Key', type: 'password' }
+              ].map(f => (
+                <label key={f.key} className="flex items-center gap-2 text-[7px] font-black uppercase tracking-widest text-indigo-400 px-1">
+                  <span className="w-14 shrink-0">{f.label}</span>
+                  <input type={f.type || 'text'} value={visionSettings[f.key]} onChange={(e) => updateVisionSettings({ [f.key]: e.target.value.trim() })} className="flex-1 bg-transparent text-[8px] text-white outline-none border-b border-white/10" />
+                </label>
+              ))}
+            </div>
+          )}
+
+          {/* IBM Endpoint Config */}
+          {showIbmConfig && hardwareStatus === 'DISCONNECTED' && (
+            <div className="bg-black/60 backdrop-blur-md p-2 rounded-lg border border-white/10 flex flex-col gap-1 w-64 shadow-2xl">
+              {[
+                { key: 'authUrl', label: 'Auth_Base' },
+                { key: 'jobsUrl', label: 'Job_Base' },
+                { key: 'backend', label: 'Backend' }
+              ].map(f => (
+                <label key={f.key} className="flex items-center gap-2 text-[7px] font-black uppercase tracking-widest text-indigo-400 px-1">
+                  <span className="w-14 shrink-0">{f.label}</span>
+                  <input value={ibmConfig[f.key]} onChange={(e) => updateIbmConfig({ [f.key]: e.target.value.trim() })} className="flex-1 bg-transparent text-[8px] text-white outline-none border-b border-white/10" />
+                </label>
+              ))}
+            </div>
+          )}
           
           <div className="bg-white/5 backdrop-blur-md p-2 rounded-lg border border-white/10 flex flex-col gap-1 w-64 shadow-2xl">
             <div className="flex justify-between items-center text-[7px] font-black uppercase tracking-widest text-indigo-400 mb-0.5 px-1">
               <span>Zenith_Parity_Weight</span>
-              <span className="text-emerald-400">{qubitWeight.toFixed(4)}</span>
+              <span className="text-emerald-400">{displayWeight.toFixed(4)}</span>
             </div>
             <div className="flex gap-1 h-1.5">
-               {localRegister.map((bit, i) => (
+               {displayRegister.map((bit, i) => (
                  <div key={i} className={`flex-1 transition-all duration-700 rounded-sm ${bit === 1 ? 'bg-indigo-400 shadow-[0_0_5px_#6366f1]' : 'bg-slate-800'}`} />
                ))}
             </div>
@@ -364,16 +1585,29 @@ export default function App() {
       <main className="relative flex-1 flex items-center justify-center overflow-hidden">
         {showLogs && (
           <div className="absolute inset-y-44 left-8 w-[340px] z-50 animate-in slide-in-from-left duration-500 bg-white/5 backdrop-blur-md border border-white/10 rounded-[32px] flex flex-col overflow-hidden shadow-2xl">
-            <header className="p-4 border-b border-white/10 flex justify-between items-center bg-white/5">
-              <span className="text-[10px] font-black tracking-widest text-indigo-300 uppercase tracking-widest"><Terminal size={12} className="inline mr-2"/> Spectrum_Audit</span>
-              <button onClick={() => setLogs([])} className="text-[8px] text-slate-500 hover:text-white font-black uppercase">Clear</button>
+            <header className="p-4 border-b border-white/10 flex flex-col gap-2 bg-white/5">
+              <div className="flex justify-between items-center">
+                <span className="text-[10px] font-black tracking-widest text-indigo-300 uppercase tracking-widest"><Terminal size={12} className="inline mr-2"/> Spectrum_Audit</span>
+                <div className="flex gap-2 text-[8px] font-black uppercase">
+                  <button onClick={() => exportLogs('jsonl')} className="text-slate-500 hover:text-white">JSONL</button>
+                  <button onClick={() => exportLogs('csv')} className="text-slate-500 hover:text-white">CSV</button>
+                  <button onClick={cycleLogRetention} className="text-slate-500 hover:text-white">Keep:{logRetention}</button>
+                  <button onClick={() => setLogViewClearedAt(new Date().toISOString())} className="text-slate-500 hover:text-white">Clear</button>
+                </div>
+              </div>
+              <input value={logQuery} onChange={(e) => setLogQuery(e.target.value)} placeholder="Search trace..." className="bg-black/40 rounded-lg px-3 py-1.5 text-[9px] outline-none text-indigo-300 border border-white/10" />
+              <div className="flex flex-wrap gap-1">
+                {logTypeOptions.map(type => (
+                  <button key={type} onClick={() => setLogTypes(prev => prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type])} className={`px-2 py-0.5 rounded text-[7px] font-black uppercase ${logTypes.includes(type) ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>{type}</button>
+                ))}
+              </div>
             </header>
             <div className="flex-1 overflow-y-auto p-4 space-y-3 no-scrollbar">
-              {logs.map(log => (
+              {visibleLogs.map(log => (
                 <div key={log.id} className="text-[9px] border-l border-white/10 pl-3 py-0.5 animate-in fade-in">
                   <div className="flex justify-between items-center opacity-60 mb-0.5 uppercase tracking-tighter">
-                    <span className={`font-black ${log.type === 'IBM' ? 'text-blue-400' : log.type === 'SEC' ? 'text-emerald-400' : 'text-indigo-300'}`}>{log.type}</span>
-                    <span className="text-[8px]">[{log.time}]</span>
+                    <span className={`font-black ${log.type === 'IBM' ? 'text-blue-400' : log.type === 'SEC' ? 'text-emerald-400' : log.severity === 'error' ? 'text-red-400' : 'text-indigo-300'}`}>{log.type}</span>
+                    <span className="text-[8px]">[{new Date(log.time).toLocaleTimeString()}]</span>
                   </div>
                   <div className="text-white font-medium">{log.msg}</div>
                   {log.details && <div className="text-[7px] text-slate-500 italic mt-1 font-mono break-all">{log.details}</div>}
@@ -383,8 +1617,42 @@ export default function App() {
           </div>
         )}
 
+        {/* Analysis Timeline */}
+        {showTimeline && (
+          <div className="absolute inset-y-44 right-8 w-[300px] z-50 animate-in slide-in-from-right duration-500 bg-white/5 backdrop-blur-md border border-white/10 rounded-[32px] flex flex-col overflow-hidden shadow-2xl">
+            <header className="p-4 border-b border-white/10 flex justify-between items-center bg-white/5">
+              <span className="text-[10px] font-black tracking-widest text-indigo-300 uppercase"><Activity size={12} className="inline mr-2"/> Decipher_Timeline</span>
+              <button onClick={() => setTimeline([])} className="text-[8px] text-slate-500 hover:text-white font-black uppercase">Clear</button>
+            </header>
+            <div className="flex-1 overflow-y-auto p-4 space-y-3 no-scrollbar">
+              {timeline.length === 0 && <div className="text-[8px] text-slate-600 uppercase tracking-widest">No analyses yet.</div>}
+              {timeline.map(entry => (
+                <div key={entry.id} className="flex gap-3 border-l border-white/10 pl-3 py-0.5 animate-in fade-in">
+                  {entry.url && <img src={entry.url} className="w-16 h-12 object-cover rounded-lg shrink-0" alt="Snapshot" />}
+                  <div className="flex-1 min-w-0 text-[8px]">
+                    <div className="flex justify-between items-center opacity-60 mb-0.5 uppercase tracking-tighter font-black text-indigo-300">
+                      <span>{entry.mode} // W:{entry.weight}</span>
+                      <span>[{entry.time}]</span>
+                    </div>
+                    <div className="text-white line-clamp-2">{entry.summary}</div>
+                    <div className="flex justify-between items-center mt-1">
+                      <span className="text-[7px] text-slate-500 uppercase">{entry.source}{entry.nodes.length ? ` // ${entry.nodes.length} nodes` : ''}</span>
+                      <button onClick={() => pinTimelineEntry(entry)} disabled={entry.pinned || !entry.url} className="text-[7px] font-black uppercase text-indigo-400 disabled:text-emerald-400">{entry.pinned ? 'Pinned' : 'Pin'}</button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Measurement Analytics */}
+        {showAnalytics && (
+          <MeasurementAnalytics runs={runs} expectedBias={expectedBias} onClear={clearRunHistory} onClose={() => setShowAnalytics(false)} />
+        )}
+
         {/* QML Recon Card */}
-        {(analysis || isAnalyzing) && (
+        {(displayAnalysis || displayAnalyzing) && (
           <div className="absolute top-52 left-8 right-8 z-40 animate-in slide-in-from-top-4 duration-500 max-w-2xl mx-auto">
             <div className="backdrop-blur-2xl bg-white/5 border border-white/20 rounded-[40px] p-8 shadow-[0_0_80px_rgba(99,102,241,0.15)]">
               <div className="flex justify-between items-center mb-5 text-indigo-300">
@@ -392,42 +1660,114 @@ export default function App() {
                   <Brain size={22} className="animate-pulse" />
                   <span className="text-[12px] font-black uppercase tracking-[0.4em]">Decipher Reconstruction</span>
                 </div>
-                <button onClick={() => setAnalysis("")} className="p-2 hover:bg-white/20 rounded-full transition-colors text-white/50"><X size={20}/></button>
+                <button onClick={mirror ? () => setRemoteState(prev => ({ ...prev, analysis: "" })) : closeDecipher} className="p-2 hover:bg-white/20 rounded-full transition-colors text-white/50"><X size={20}/></button>
               </div>
               <p className="text-base md:text-lg text-white leading-relaxed italic font-serif drop-shadow-xl font-medium tracking-tight">
-                {isAnalyzing ? "Weighting encrypted semantic nodes..." : analysis}
+                {displayAnalyzing ? "Weighting encrypted semantic nodes..." : displayAnalysis}
               </p>
             </div>
           </div>
         )}
 
+        {error && (
+          <div className="absolute top-44 left-1/2 -translate-x-1/2 z-40 flex items-center gap-2 bg-red-500/20 border border-red-500/40 text-red-300 rounded-2xl px-4 py-2 text-[9px] font-black uppercase tracking-widest">
+            <AlertTriangle size={14} /> {error}
+            <button onClick={startCamera} className="ml-2 text-white/70 hover:text-white"><RefreshCw size={12} /></button>
+          </div>
+        )}
+
         <div className="absolute bottom-44 left-0 right-0 flex justify-center pointer-events-none opacity-40 text-[8px] font-black uppercase tracking-[1em] text-white">
             Architecture: Zenith_Parity // Privacy: No_Location
         </div>
       </main>
 
+      {/* Optic Device Panel */}
+      {showCameraPanel && (
+        <div className="absolute bottom-[260px] left-1/2 -translate-x-1/2 z-[80] w-[360px] max-w-[90vw] bg-black/70 backdrop-blur-2xl border border-white/10 rounded-[24px] p-4 flex flex-col gap-3 text-[8px] font-black uppercase tracking-widest text-indigo-400 shadow-2xl">
+          <label className="flex flex-col gap-1">
+            <span>Optic_Device</span>
+            <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)} className="bg-white/5 border border-white/10 rounded-lg p-2 text-[9px] text-white outline-none">
+              <option value="">Auto ({facingMode})</option>
+              {devices.map(d => <option key={d.deviceId} value={d.deviceId}>{d.label}</option>)}
+            </select>
+          </label>
+          <div className="flex items-center gap-2">
+            <span className="w-16 shrink-0">Resolution</span>
+            {Object.keys(RESOLUTION_PRESETS).map(r => (
+              <button key={r} onClick={() => setResolution(r)} className={`flex-1 py-1.5 rounded-lg ${resolution === r ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>{r}</button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="w-16 shrink-0">Frame_Rate</span>
+            {FRAME_RATES.map(f => (
+              <button key={f} onClick={() => setFrameRate(f)} className={`flex-1 py-1.5 rounded-lg ${frameRate === f ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>{f}</button>
+            ))}
+          </div>
+          {Object.entries(capabilities).map(([name, cap]) => (
+            <div key={name} className="flex items-center gap-2">
+              <span className="w-16 shrink-0">{name}</span>
+              {name === 'torch' ? (
+                <button onClick={() => applyCameraSetting('torch', !trackSettings.torch)} className={`flex-1 py-1.5 rounded-lg ${trackSettings.torch ? 'bg-amber-500 text-black' : 'bg-white/5 text-slate-500'}`}>{trackSettings.torch ? 'On' : 'Off'}</button>
+              ) : Array.isArray(cap) ? (
+                cap.map(option => (
+                  <button key={option} onClick={() => applyCameraSetting(name, option)} className={`flex-1 py-1.5 rounded-lg ${trackSettings[name] === option ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>{option}</button>
+                ))
+              ) : (
+                <>
+                  <input type="range" min={cap.min} max={cap.max} step={cap.step || 'any'} value={trackSettings[name] ?? cap.min} onChange={(e) => applyCameraSetting(name, Number(e.target.value))} className="flex-1 accent-indigo-500" />
+                  <span className="w-8 text-right text-white">{Number(trackSettings[name] ?? cap.min).toFixed(1)}</span>
+                </>
+              )}
+            </div>
+          ))}
+          <div className="text-[7px] text-slate-500">
+            Active: {trackSettings.width || '?'}x{trackSettings.height || '?'} @ {Math.round(trackSettings.frameRate || 0)}fps
+          </div>
+        </div>
+      )}
+
+      {modeEditorDraft && (
+        <ModeEditor
+          initialMode={modeEditorDraft}
+          icons={MODE_ICON_COMPONENTS}
+          videoRef={videoRef}
+          weight={qubitWeight}
+          mirrored={mirrored}
+          isCustom={customModes.some(m => m.id === modeEditorDraft.id)}
+          onSave={saveMode}
+          onDelete={deleteMode}
+          onClose={() => setModeEditorDraft(null)}
+          onExport={exportModeLibrary}
+          onImport={importModeLibrary}
+        />
+      )}
+
       {/* Control Bar */}
       <div className="absolute bottom-0 left-0 right-0 p-8 flex flex-col items-center gap-6 bg-gradient-to-t from-black via-black/40 to-transparent z-[70]">
         <div className="flex gap-2 bg-white/5 backdrop-blur-2xl p-2 rounded-[24px] border border-white/10 overflow-x-auto no-scrollbar max-w-full">
-            {[
-              { id: 'STANDARD', icon: <Eye size={14}/> },
-              { id: 'MATRIX', icon: <LayoutGrid size={14}/> },
-              { id: 'HEAT', icon: <Flame size={14}/> },
-              { id: 'GHOST', icon: <Ghost size={14}/> },
-              { id: 'NIGHT', icon: <Moon size={14}/> }
-            ].map(m => (
-              <button key={m.id} onClick={() => setActiveMode(m.id)} className={`px-6 py-3 rounded-2xl text-[9px] font-black transition-all flex items-center gap-2 ${activeMode === m.id ? 'bg-indigo-600 text-white shadow-lg' : 'text-slate-500 hover:text-white'}`}>
-                {m.icon} {m.id}
-              </button>
-            ))}
+            {allModes.map(m => {
+              const Icon = MODE_ICON_COMPONENTS[m.icon] || Atom;
+              return (
+                <button key={m.id} onClick={() => setActiveMode(m.id)} className={`px-6 py-3 rounded-2xl text-[9px] font-black transition-all flex items-center gap-2 ${activeMode === m.id ? 'bg-indigo-600 text-white shadow-lg' : 'text-slate-500 hover:text-white'}`}>
+                  <Icon size={14}/> {m.id}
+                </button>
+              );
+            })}
+            <button onClick={openModeEditor} title={activeModeDef.builtin ? 'Fork active mode' : 'Edit active mode'} className="px-4 py-3 rounded-2xl text-slate-500 hover:text-white"><SlidersHorizontal size={14}/></button>
         </div>
 
         <div className="flex justify-center items-center gap-12">
-          <button onClick={() => setFacingMode(p => p === 'user' ? 'environment' : 'user')} className="p-5 bg-white/5 backdrop-blur-md rounded-[24px] border border-white/10 active:scale-90 shadow-xl text-slate-400"><RefreshCw size={24} /></button>
-          <button onClick={captureArtifact} className="w-24 h-24 rounded-full bg-white flex items-center justify-center shadow-2xl active:scale-95 group transition-all">
-            <div className="w-20 h-20 rounded-full border-[4px] border-indigo-500 flex items-center justify-center group-hover:border-indigo-400 transition-all"><Box size={32} className="text-black" /></div>
+          <button onClick={() => { setDeviceId(""); setFacingMode(p => p === 'user' ? 'environment' : 'user'); }} className="p-5 bg-white/5 backdrop-blur-md rounded-[24px] border border-white/10 active:scale-90 shadow-xl text-slate-400"><RefreshCw size={24} /></button>
+          <button onClick={() => setShowCameraPanel(!showCameraPanel)} className={`p-5 backdrop-blur-md rounded-[24px] border active:scale-90 shadow-xl ${showCameraPanel ? 'bg-indigo-600 border-indigo-400 text-white' : 'bg-white/5 border-white/10 text-slate-400'}`}><Smartphone size={24} /></button>
+          <button onClick={() => setBurnHud(!burnHud)} className={`p-5 backdrop-blur-md rounded-[24px] border active:scale-90 shadow-xl ${burnHud ? 'bg-indigo-600 border-indigo-400 text-white' : 'bg-white/5 border-white/10 text-slate-400'}`}><Binary size={24} /></button>
+          <button onPointerDown={handleShutterDown} onPointerUp={handleShutterUp} onPointerLeave={handleShutterLeave} onContextMenu={(e) => e.preventDefault()} className={`w-24 h-24 rounded-full flex items-center justify-center shadow-2xl active:scale-95 group transition-all ${isRecording ? 'bg-red-500' : 'bg-white'}`}>
+            <div className={`w-20 h-20 rounded-full border-[4px] flex items-center justify-center transition-all ${isRecording ? 'border-white animate-pulse' : 'border-indigo-500 group-hover:border-indigo-400'}`}>
+              {isRecording ? <span className="text-[12px] font-black text-white">{recordElapsed}s</span> : <Box size={32} className="text-black" />}
+            </div>
           </button>
-          <button onClick={runDecipher} className="p-6 rounded-[24px] border border-white/10 bg-white/5 backdrop-blur-md active:scale-90 shadow-2xl text-red-500"><Heart size={32} /></button>
+          <button onClick={() => isRecording ? stopRecording() : startRecording()} className={`p-5 backdrop-blur-md rounded-[24px] border active:scale-90 shadow-xl ${isRecording ? 'bg-red-500 border-red-400 text-white' : 'bg-white/5 border-white/10 text-slate-400'}`}><Radio size={24} /></button>
+          <button onClick={() => runDecipher()} className="p-6 rounded-[24px] border border-white/10 bg-white/5 backdrop-blur-md active:scale-90 shadow-2xl text-red-500"><Heart size={32} /></button>
+          <button onClick={() => setScanMode(!scanMode)} className={`p-5 backdrop-blur-md rounded-[24px] border active:scale-90 shadow-xl ${scanMode ? 'bg-red-500 border-red-400 text-white animate-pulse' : 'bg-white/5 border-white/10 text-slate-400'}`}><Waves size={24} /></button>
         </div>
       </div>
 
@@ -435,20 +1775,58 @@ export default function App() {
       {showGallery && (
         <div className="absolute inset-0 z-[110] bg-black/95 backdrop-blur-3xl flex flex-col animate-in slide-in-from-right duration-700 px-6">
            <header className="py-10 border-b border-white/10 flex justify-between items-center">
-             <h2 className="text-3xl font-black italic text-indigo-400 tracking-widest uppercase underline decoration-indigo-500/30">SECURE_VAULT</h2>
-             <button onClick={() => setShowGallery(false)} className="p-4 bg-white/5 rounded-3xl hover:bg-white/10 transition-all shadow-xl"><X size={32}/></button>
+             <div>
+               <h2 className="text-3xl font-black italic text-indigo-400 tracking-widest uppercase underline decoration-indigo-500/30">SECURE_VAULT</h2>
+               <div className="mt-2 text-[8px] font-black uppercase tracking-widest text-slate-500">Device_Key: {deviceKeyId ? deviceKeyId.substring(0, 16) : 'Unavailable'}</div>
+             </div>
+             <div className="flex items-center gap-4">
+               <button onClick={() => setSelectedArtifacts(selectedArtifacts.length === photos.length ? [] : photos.map(p => p.id))} className="px-5 py-3 rounded-2xl font-black text-[10px] uppercase bg-white/5 text-slate-400 hover:text-white transition-all">{selectedArtifacts.length && selectedArtifacts.length === photos.length ? 'Deselect_All' : 'Select_All'}</button>
+               <button onClick={exportSelectedArtifacts} disabled={!selectedArtifacts.length} className="px-5 py-3 rounded-2xl font-black text-[10px] uppercase bg-indigo-600 text-white disabled:bg-white/5 disabled:text-slate-600 transition-all">Export_ZIP ({selectedArtifacts.length})</button>
+               <label className="px-5 py-3 rounded-2xl font-black text-[10px] uppercase bg-white/5 text-slate-400 hover:text-white transition-all cursor-pointer">
+                 Import_ZIP
+                 <input type="file" accept="application/zip,.zip" onChange={importArtifactBundle} className="hidden" />
+               </label>
+               <button onClick={() => confirmWipe ? relockAfterWipe() : setConfirmWipe(true)} onMouseLeave={() => setConfirmWipe(false)} className={`px-5 py-3 rounded-2xl font-black text-[10px] uppercase transition-all ${confirmWipe ? 'bg-red-600 text-white shadow-lg' : 'bg-red-500/20 text-red-500 hover:bg-red-500/30'}`}>{confirmWipe ? 'Confirm_Wipe' : 'Wipe_Vault'}</button>
+               <button onClick={() => setShowGallery(false)} className="p-4 bg-white/5 rounded-3xl hover:bg-white/10 transition-all shadow-xl"><X size={32}/></button>
+             </div>
            </header>
+           {bundleError && (
+             <div className="mt-4 flex items-center gap-2 bg-red-500/20 border border-red-500/40 text-red-300 rounded-2xl px-4 py-2 text-[9px] font-black uppercase tracking-widest">
+               <AlertTriangle size={14} /> {bundleError}
+               <button onClick={() => setBundleError(null)} className="ml-auto text-white/70 hover:text-white"><X size={12} /></button>
+             </div>
+           )}
            <div className="flex-1 overflow-y-auto grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8 py-8 px-4">
-             {photos.map(p => (
-               <div key={p.id} className="group relative aspect-square bg-slate-900 rounded-[48px] overflow-hidden border border-white/5 shadow-2xl">
-                 <img src={p.url} className="w-full h-full object-cover opacity-80" alt="Artifact" />
-                 <div className="absolute inset-0 bg-black/80 opacity-0 group-hover:opacity-100 transition-all flex flex-col justify-end p-8 font-mono">
-                    <div className="text-[10px] font-black text-indigo-400 mb-1 tracking-tighter uppercase underline decoration-indigo-500/30">Spectrum: {p.mode}</div>
-                    <div className="text-[7px] text-slate-500 break-all mb-4">Parity: {btoa(p.bits).substring(0, 16)}... (W:{p.weight})</div>
-                    <button onClick={() => setPhotos(prev => prev.filter(x => x.id !== p.id))} className="w-full bg-red-500/20 text-red-500 py-3 rounded-2xl font-black text-[10px] uppercase shadow-lg hover:bg-red-600 hover:text-white transition-all">Purge</button>
+             {photos.map(p => {
+               const selected = selectedArtifacts.includes(p.id);
+               const selectToggle = (
+                 <button onClick={() => toggleArtifactSelection(p.id)} className={`absolute top-6 right-6 z-10 w-7 h-7 rounded-full border-2 flex items-center justify-center transition-all ${selected ? 'bg-indigo-600 border-indigo-400 text-white' : 'bg-black/60 border-white/30 text-transparent'}`}><Check size={14} /></button>
+               );
+               return p.kind === 'clip' ? (
+                 <div key={p.id} className={`relative rounded-[48px] ${selected ? 'ring-2 ring-indigo-500' : ''}`}>
+                   {selectToggle}
+                   <VaultClip clip={p} badge={<ProvenanceBadge result={provenanceResults[p.id]} />} onExport={() => exportArtifactBundle(p)} onPurge={() => purgePhoto(p.id)} />
+                 </div>
+               ) : (
+                 <div key={p.id} className={`group relative aspect-square bg-slate-900 rounded-[48px] overflow-hidden border shadow-2xl ${selected ? 'border-indigo-500 ring-2 ring-indigo-500' : 'border-white/5'}`}>
+                   <img src={p.url} className="w-full h-full object-cover opacity-80" alt="Artifact" />
+                   <div className="absolute top-6 left-6"><ProvenanceBadge result={provenanceResults[p.id]} /></div>
+                   {selectToggle}
+                   <div className="absolute inset-0 bg-black/80 opacity-0 group-hover:opacity-100 transition-all flex flex-col justify-end p-8 font-mono">
+                      <div className="text-[10px] font-black text-indigo-400 mb-1 tracking-tighter uppercase underline decoration-indigo-500/30">Spectrum: {p.mode}</div>
+                      <div className="text-[7px] text-slate-500 break-all">Bits: {p.bits} (W:{p.weight}){p.nodes?.length ? ` // Nodes: ${p.nodes.length}` : ''}</div>
+                      <div className="text-[7px] text-slate-500 break-all mb-4">{p.source || 'UNKNOWN'} // {p.backend || '-'}{p.jobId ? ` // ${p.jobId}` : ''}{p.provenance ? ` // SHA-256: ${p.provenance.contentHash.substring(0, 12)}...` : ''}</div>
+                      {(p.pendingDecipher || p.pendingJob || p.hardware) && (
+                        <div className="text-[7px] text-amber-400 break-all -mt-3 mb-4">
+                          {[p.pendingDecipher && 'Decipher_Queued', p.pendingJob && 'Job_Queued', p.hardware && `HW: ${p.hardware.bitstring} (W:${p.hardware.weight}) @ ${p.hardware.backend}`].filter(Boolean).join(' // ')}
+                        </div>
+                      )}
+                      <button onClick={() => exportArtifactBundle(p)} className="w-full bg-white/5 text-slate-300 py-3 mb-2 rounded-2xl font-black text-[10px] uppercase hover:bg-white/10 transition-all">Export_Signed</button>
+                      <button onClick={() => purgePhoto(p.id)} className="w-full bg-red-500/20 text-red-500 py-3 rounded-2xl font-black text-[10px] uppercase shadow-lg hover:bg-red-600 hover:text-white transition-all">Purge</button>
+                   </div>
                  </div>
-               </div>
-             ))}
+               );
+             })}
            </div>
         </div>
       )}
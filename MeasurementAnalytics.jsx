@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from 'react';
+import { X, BarChart3 } from 'lucide-react';
+import { RUN_SOURCES } from './runHistory';
+import { MIN_TEST_BITS, qubitBias, outcomeHistogram, weightTrend, randomnessReport } from './runAnalytics';
+
+const SOURCE_COLORS = { HARDWARE: '#34d399', SIMULATOR: '#818cf8', FALLBACK: '#f59e0b' };
+
+const TEST_LABELS = { monobit: 'Monobit', runs: 'Runs', chiSquare: 'Chi-Square' };
+
+// Measurement analytics over the persisted run history. `expectedBias` is the ideal
+// P(1) per qubit for the teleport circuit, so deviations show which source drifted.
+export default function MeasurementAnalytics({ runs, expectedBias, onClear, onClose }) {
+  const [source, setSource] = useState('ALL');
+  const selected = useMemo(() => source === 'ALL' ? runs : runs.filter(r => r.source === source), [runs, source]);
+  const bias = useMemo(() => qubitBias(selected, expectedBias.length), [selected, expectedBias]);
+  const histogram = useMemo(() => outcomeHistogram(selected, 12), [selected]);
+  const trend = useMemo(() => weightTrend(selected), [selected]);
+  const report = useMemo(() => randomnessReport(selected, expectedBias), [selected, expectedBias]);
+  const histogramMax = histogram[0]?.count || 1;
+
+  const trendPoints = trend.map((point, i) => ({
+    ...point,
+    x: trend.length > 1 ? (i / (trend.length - 1)) * 100 : 50,
+    y: 40 - point.weight * 40
+  }));
+
+  return (
+    <div className="absolute inset-x-8 top-44 bottom-56 z-[60] max-w-3xl mx-auto animate-in fade-in bg-black/80 backdrop-blur-2xl border border-white/10 rounded-[32px] flex flex-col overflow-hidden shadow-2xl font-mono">
+      <header className="p-4 border-b border-white/10 flex justify-between items-center bg-white/5 gap-2">
+        <span className="text-[10px] font-black tracking-widest text-indigo-300 uppercase"><BarChart3 size={12} className="inline mr-2" /> Measurement_Analytics</span>
+        <div className="flex gap-1">
+          {['ALL', ...RUN_SOURCES].map(s => (
+            <button key={s} onClick={() => setSource(s)} className={`px-2 py-1 rounded text-[7px] font-black uppercase ${source === s ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>
+              {s} ({s === 'ALL' ? runs.length : runs.filter(r => r.source === s).length})
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2 items-center">
+          <button onClick={onClear} className="text-[8px] text-slate-500 hover:text-white font-black uppercase">Clear</button>
+          <button onClick={onClose} className="p-1 hover:bg-white/20 rounded-full text-white/50"><X size={16} /></button>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-y-auto p-4 grid grid-cols-1 md:grid-cols-2 gap-4 no-scrollbar text-[8px] uppercase">
+        {!selected.length && <div className="text-slate-600 tracking-widest">No runs recorded.</div>}
+
+        {selected.length > 0 && (
+          <>
+            <section className="flex flex-col gap-2">
+              <span className="font-black tracking-widest text-indigo-400">Per-Qubit Bias (P1) // Shots: {bias.shots}</span>
+              <div className="flex items-end gap-1 h-24 border-b border-white/10">
+                {bias.bias.map((p, q) => (
+                  <div key={q} className="relative flex-1 h-full flex items-end" title={`q${q}: ${p.toFixed(3)} (ideal ${expectedBias[q].toFixed(2)})`}>
+                    <div className="w-full bg-indigo-500/60 rounded-t" style={{ height: `${p * 100}%` }} />
+                    <div className="absolute left-0 right-0 border-t border-dashed border-emerald-400" style={{ bottom: `${expectedBias[q] * 100}%` }} />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-1 text-slate-500">
+                {bias.bias.map((p, q) => <span key={q} className="flex-1 text-center">q{q}</span>)}
+              </div>
+            </section>
+
+            <section className="flex flex-col gap-2">
+              <span className="font-black tracking-widest text-indigo-400">Q-Weight Trend</span>
+              <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="w-full h-24 bg-white/5 rounded-lg">
+                <polyline points={trendPoints.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke="#6366f1" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+                {trendPoints.map((p, i) => <circle key={i} cx={p.x} cy={p.y} r="0.8" fill={SOURCE_COLORS[p.source]} />)}
+              </svg>
+              <div className="flex gap-3 text-slate-500">
+                {RUN_SOURCES.map(s => <span key={s}><span className="inline-block w-1.5 h-1.5 rounded-full mr-1" style={{ background: SOURCE_COLORS[s] }} />{s}</span>)}
+              </div>
+            </section>
+
+            <section className="flex flex-col gap-1">
+              <span className="font-black tracking-widest text-indigo-400 mb-1">Outcome Frequency (Top {histogram.length})</span>
+              {histogram.map(({ bitstring, count }) => (
+                <div key={bitstring} className="flex items-center gap-2">
+                  <span className="text-white normal-case">{bitstring}</span>
+                  <div className="flex-1 h-1.5 bg-white/5 rounded"><div className="h-full bg-indigo-500 rounded" style={{ width: `${(count / histogramMax) * 100}%` }} /></div>
+                  <span className="w-10 text-right text-slate-400">{count}</span>
+                </div>
+              ))}
+            </section>
+
+            <section className="flex flex-col gap-1">
+              <span className="font-black tracking-widest text-indigo-400 mb-1">Randomness Tests (p &ge; 0.01)</span>
+              {Object.entries(report).map(([name, result]) => (
+                <div key={name} className="flex justify-between items-center bg-white/5 rounded-lg px-2 py-1.5">
+                  <span className="text-slate-300">{TEST_LABELS[name]}</span>
+                  {result.insufficient ? (
+                    <span className="text-slate-500">Need {MIN_TEST_BITS} bits ({result.n})</span>
+                  ) : (
+                    <span className="flex gap-3 items-center">
+                      <span className="text-slate-500">p={result.pValue.toExponential(2)}</span>
+                      <span className={`font-black ${result.pass ? 'text-emerald-400' : 'text-red-400'}`}>{result.pass ? 'Pass' : 'Fail'}</span>
+                    </span>
+                  )}
+                </div>
+              ))}
+              <div className="text-[7px] text-slate-600 normal-case tracking-normal mt-1">
+                Monobit and runs use the collapsed register bits of superposed qubits in run order; chi-square compares every shot against the ideal per-qubit marginals.
+              </div>
+            </section>
+
+            <section className="md:col-span-2 flex flex-col gap-1">
+              <span className="font-black tracking-widest text-indigo-400 mb-1">Runs</span>
+              {[...selected].reverse().slice(0, 50).map(run => (
+                <div key={run.id} className="flex justify-between gap-2 border-l-2 pl-2" style={{ borderColor: SOURCE_COLORS[run.source] }}>
+                  <span className="text-slate-500">{new Date(run.time).toLocaleString()}</span>
+                  <span className="text-slate-300">{run.source} // {run.backend} // {run.shots} shots</span>
+                  <span className="text-white normal-case">{run.bitstring} (W:{run.weight.toFixed(4)})</span>
+                </div>
+              ))}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Check, Trash2, Plus, ChevronUp, ChevronDown, Download, Upload } from 'lucide-react';
+import { STAGE_FUNCTIONS, MODE_ICONS, MAX_STAGES, validateMode } from './spectrumModes';
+import { compileExpression } from './modeExpression';
+import { getSpectrumStages, renderSpectrumFrame } from './spectrum';
+
+const stageError = (stage) => {
+  try {
+    compileExpression(stage.expr);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+function IconSelect({ icons, value, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {MODE_ICONS.map(name => {
+        const Icon = icons[name];
+        return (
+          <button key={name} onClick={() => onChange(name)} className={`p-1.5 rounded-lg ${value === name ? 'bg-indigo-600 text-white' : 'bg-white/5 text-slate-500'}`}>
+            <Icon size={12} />
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Spectrum mode editor: ordered filter stages with weight expressions, a live preview
+// of the optic feed, and JSON import/export of the custom mode library.
+export default function ModeEditor({ initialMode, icons, videoRef, weight, mirrored, isCustom, onSave, onDelete, onClose, onExport, onImport }) {
+  const [draft, setDraft] = useState(initialMode);
+  const [previewWeight, setPreviewWeight] = useState(weight);
+  const [saveError, setSaveError] = useState(null);
+  const previewRef = useRef(null);
+  const liveRef = useRef(null);
+  liveRef.current = { draft, previewWeight, mirrored };
+  // Delete and rename act on the stored mode, whatever the name field says now.
+  const originalId = initialMode.id;
+  const renamed = isCustom && draft.id !== originalId;
+
+  useEffect(() => {
+    let frame;
+    const tick = () => {
+      const video = videoRef.current;
+      const canvas = previewRef.current;
+      if (video && canvas && video.readyState >= 2) {
+        const { draft: mode, previewWeight: w, mirrored: mirror } = liveRef.current;
+        renderSpectrumFrame(video, canvas, { stages: getSpectrumStages(mode, w), mirror, maxWidth: 320 });
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [videoRef]);
+
+  const updateStage = (index, patch) => setDraft(d => ({ ...d, stages: d.stages.map((s, i) => i === index ? { ...s, ...patch } : s) }));
+  const moveStage = (index, delta) => setDraft(d => {
+    const stages = [...d.stages];
+    const target = index + delta;
+    if (target < 0 || target >= stages.length) return d;
+    [stages[index], stages[target]] = [stages[target], stages[index]];
+    return { ...d, stages };
+  });
+
+  // A renamed custom mode either replaces the original or is saved next to it as a copy.
+  const save = ({ asCopy = false } = {}) => {
+    try {
+      onSave(validateMode(draft), { replaces: isCustom && !asCopy ? originalId : null });
+      setSaveError(null);
+    } catch (err) {
+      setSaveError(err.message);
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) onImport(await file.text());
+  };
+
+  return (
+    <div className="absolute inset-0 z-[120] bg-black/90 backdrop-blur-2xl flex items-center justify-center p-6 font-mono">
+      <div className="w-full max-w-3xl max-h-full overflow-y-auto no-scrollbar bg-white/5 border border-white/10 rounded-[32px] p-6 flex flex-col gap-4 text-[8px] font-black uppercase tracking-widest text-indigo-400">
+        <header className="flex justify-between items-center">
+          <span className="text-[12px] tracking-[0.4em] text-indigo-300">Spectrum_Mode_Editor</span>
+          <button onClick={onClose} className="p-2 hover:bg-white/20 rounded-full text-white/50"><X size={20} /></button>
+        </header>
+
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="flex-1 flex flex-col gap-3">
+            <label className="flex flex-col gap-1">
+              <span>Name</span>
+              <input value={draft.id} onChange={(e) => setDraft(d => ({ ...d, id: e.target.value.toUpperCase() }))} className="bg-black/40 border border-white/10 rounded-lg p-2 text-[10px] text-white outline-none" />
+            </label>
+            <div className="flex flex-col gap-1"><span>Control_Icon</span><IconSelect icons={icons} value={draft.icon} onChange={(icon) => setDraft(d => ({ ...d, icon }))} /></div>
+            <div className="flex flex-col gap-1"><span>Header_Icon</span><IconSelect icons={icons} value={draft.headerIcon} onChange={(headerIcon) => setDraft(d => ({ ...d, headerIcon }))} /></div>
+            <label className="flex flex-col gap-1">
+              <span>Decipher_Prompt ({'{MODE}'} = name)</span>
+              <textarea value={draft.prompt} onChange={(e) => setDraft(d => ({ ...d, prompt: e.target.value }))} rows={3} className="bg-black/40 border border-white/10 rounded-lg p-2 text-[9px] text-white normal-case tracking-normal outline-none resize-none" />
+            </label>
+          </div>
+          <div className="md:w-64 flex flex-col gap-2">
+            <canvas ref={previewRef} className="w-full aspect-video object-cover rounded-2xl bg-black border border-white/10" />
+            <label className="flex items-center gap-2">
+              <span className="shrink-0">W</span>
+              <input type="range" min={0} max={1} step={0.01} value={previewWeight} onChange={(e) => setPreviewWeight(Number(e.target.value))} className="flex-1 accent-indigo-500" />
+              <span className="w-10 text-right text-white">{previewWeight.toFixed(2)}</span>
+            </label>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-2">
+          <span>Stages (applied top to bottom)</span>
+          {draft.stages.map((stage, i) => {
+            const err = stageError(stage);
+            return (
+              <div key={i} className="flex flex-col gap-1">
+                <div className="flex items-center gap-2">
+                  <select value={stage.fn} onChange={(e) => updateStage(i, { fn: e.target.value })} className="bg-black/40 border border-white/10 rounded-lg p-2 text-[9px] text-white outline-none">
+                    {Object.keys(STAGE_FUNCTIONS).map(fn => <option key={fn} value={fn}>{fn}</option>)}
+                  </select>
+                  <input value={stage.expr} onChange={(e) => updateStage(i, { expr: e.target.value })} placeholder="e.g. 1.2 + w * 0.5" className={`flex-1 bg-black/40 border rounded-lg p-2 text-[10px] text-white normal-case outline-none ${err ? 'border-red-500/60' : 'border-white/10'}`} />
+                  <span className="w-10 text-slate-500">{STAGE_FUNCTIONS[stage.fn]}</span>
+                  <button onClick={() => moveStage(i, -1)} className="text-slate-500 hover:text-white"><ChevronUp size={14} /></button>
+                  <button onClick={() => moveStage(i, 1)} className="text-slate-500 hover:text-white"><ChevronDown size={14} /></button>
+                  <button onClick={() => setDraft(d => ({ ...d, stages: d.stages.filter((_, j) => j !== i) }))} className="text-red-500/70 hover:text-red-400"><Trash2 size={14} /></button>
+                </div>
+                {err && <div className="text-[7px] text-red-400 normal-case tracking-normal pl-1">{err}</div>}
+              </div>
+            );
+          })}
+          {draft.stages.length < MAX_STAGES && (
+            <button onClick={() => setDraft(d => ({ ...d, stages: [...d.stages, { fn: 'contrast', expr: '1 + w' }] }))} className="self-start flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white/5 text-slate-400 hover:text-white"><Plus size={12} /> Add_Stage</button>
+          )}
+        </div>
+
+        {saveError && <div className="text-[8px] text-red-400 normal-case tracking-normal">{saveError}</div>}
+
+        <footer className="flex flex-wrap justify-between items-center gap-2 pt-2 border-t border-white/10">
+          <div className="flex gap-2">
+            <button onClick={onExport} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white/5 text-slate-400 hover:text-white"><Download size={12} /> Export_JSON</button>
+            <label className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white/5 text-slate-400 hover:text-white cursor-pointer">
+              <Upload size={12} /> Import_JSON
+              <input type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            {isCustom && <button onClick={() => onDelete(originalId)} className="px-4 py-2 rounded-lg bg-red-500/20 text-red-500 hover:bg-red-600 hover:text-white">Delete</button>}
+            {renamed && <button onClick={() => save({ asCopy: true })} className="flex items-center gap-1 px-4 py-2 rounded-lg bg-white/5 text-slate-300 hover:text-white"><Plus size={12} /> Save_Copy</button>}
+            <button onClick={() => save()} className="flex items-center gap-1 px-4 py-2 rounded-lg bg-indigo-600 text-white"><Check size={12} /> {renamed ? `Rename_${originalId}` : 'Save_Mode'}</button>
+          </div>
+        </footer>
+      </div>
+    </div>
+  );
+}
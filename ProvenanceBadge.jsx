@@ -0,0 +1,22 @@
+import React from 'react';
+import { ShieldCheck, AlertTriangle, Shield, Loader2 } from 'lucide-react';
+
+const STYLES = {
+  VERIFIED: { icon: ShieldCheck, className: 'bg-emerald-500/20 text-emerald-400 border-emerald-500/40' },
+  FOREIGN: { icon: Shield, className: 'bg-amber-500/20 text-amber-400 border-amber-500/40' },
+  TAMPERED: { icon: AlertTriangle, className: 'bg-red-500/30 text-red-400 border-red-500/60' },
+  UNSIGNED: { icon: Shield, className: 'bg-white/5 text-slate-500 border-white/10' }
+};
+
+// Vault badge for an artifact's signature check; `result` is pending until verification resolves.
+export default function ProvenanceBadge({ result }) {
+  if (!result) {
+    return <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full border border-white/10 text-[7px] font-black uppercase text-slate-500"><Loader2 size={10} className="animate-spin" /> Checking</span>;
+  }
+  const { icon: Icon, className } = STYLES[result.status];
+  return (
+    <span title={result.reason || result.status} className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border text-[7px] font-black uppercase tracking-widest ${className}`}>
+      <Icon size={10} /> {result.status}
+    </span>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { X, Copy, ScanLine, Radio, Monitor, Box, Plus, Loader2 } from 'lucide-react';
+import { encodeQr, qrToSvgPath, QrError } from './qrCode';
+import { decodeSignal, scanSignalCode, supportsQrScan, SessionError } from './sessionTransport';
+import { createSessionId, isSessionId } from './liveSession';
+
+const LINK_TINTS = { OPEN: 'text-emerald-400', CONNECTING: 'text-amber-400', FAILED: 'text-red-400' };
+
+// Signal code shown as a QR code for the other device's camera, with the raw text to copy.
+function SignalCode({ label, code, onCopy }) {
+  const qr = useMemo(() => {
+    try {
+      return encodeQr(code, { ecl: 'L' });
+    } catch (err) {
+      if (err instanceof QrError) return null;
+      throw err;
+    }
+  }, [code]);
+  return (
+    <div className="flex flex-col gap-1">
+      <span>{label}</span>
+      {qr && (
+        <svg viewBox={`-4 -4 ${qr.size + 8} ${qr.size + 8}`} shapeRendering="crispEdges" className="w-full rounded-lg bg-white">
+          <path d={qrToSvgPath(qr)} fill="#000" />
+        </svg>
+      )}
+      <div className="flex gap-1">
+        <input readOnly value={code} onFocus={(e) => e.target.select()} className="flex-1 min-w-0 bg-black/40 rounded-lg px-2 py-1 text-[7px] text-white outline-none border border-white/10" />
+        <button onClick={() => onCopy(code)} className="px-2 rounded-lg bg-white/5 text-slate-400 hover:text-white"><Copy size={10} /></button>
+      </div>
+    </div>
+  );
+}
+
+// Live session controls: host a session, join one from another tab (session id) or another
+// device (WebRTC offer/answer codes, pasted or scanned off the optic feed).
+export default function SessionPanel({ session, videoRef, initialJoinId, onStart, onEnd, onRequestCapture, onLog, onClose }) {
+  const [joinId, setJoinId] = useState(initialJoinId || "");
+  const [codeInput, setCodeInput] = useState("");
+  const [pendingOffer, setPendingOffer] = useState(null); // host: { linkId, offer, accept }
+  const [answer, setAnswer] = useState(null); // viewer: answer code for the host
+  const [busy, setBusy] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [panelError, setPanelError] = useState(null);
+  const scanAbortRef = useRef(null);
+  const pendingOfferRef = useRef(null);
+  pendingOfferRef.current = pendingOffer;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  // An offer left unanswered when the panel closes would keep its link stuck in CONNECTING.
+  useEffect(() => () => {
+    scanAbortRef.current?.abort();
+    if (pendingOfferRef.current) sessionRef.current?.hub.closeLink(pendingOfferRef.current.linkId);
+  }, []);
+
+  // Forget signalling state that belongs to a session that has since ended.
+  useEffect(() => {
+    if (session) return;
+    setPendingOffer(null);
+    setAnswer(null);
+  }, [session]);
+
+  const fail = (message, err) => {
+    const detail = err instanceof SessionError ? `${err.code}: ${err.message}` : err?.message;
+    setPanelError(detail || message);
+    onLog('ERR', message, detail);
+  };
+
+  const run = async (message, task) => {
+    setBusy(true);
+    setPanelError(null);
+    try {
+      await task();
+    } catch (err) {
+      fail(message, err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copy = (text) => navigator.clipboard?.writeText(text).catch(err => fail('Clipboard Unavailable.', err));
+
+  const scan = async () => {
+    if (scanning) return scanAbortRef.current?.abort();
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    setScanning(true);
+    setPanelError(null);
+    try {
+      setCodeInput(await scanSignalCode(videoRef.current, { signal: controller.signal }));
+    } catch (err) {
+      if (err.name !== 'AbortError') fail('Session Code Scan Failed.', err);
+    } finally {
+      scanAbortRef.current = null;
+      setScanning(false);
+    }
+  };
+
+  // A session whose first link cannot be set up is ended again instead of left empty on screen.
+  const startWithLink = async (role, id, connect) => {
+    const hub = onStart(role, id);
+    try {
+      return await connect(hub);
+    } catch (err) {
+      onEnd('First link could not be set up.');
+      throw err;
+    }
+  };
+
+  const hostSession = () => run('Session Host Failed.', () =>
+    startWithLink('HOST', createSessionId(), hub => hub.openTabLink()));
+
+  const joinTab = () => run('Session Join Failed.', async () => {
+    const id = joinId.trim().toUpperCase();
+    if (!isSessionId(id)) throw new SessionError('Session ids are 6 characters.', 'SIGNAL');
+    await startWithLink('VIEWER', id, hub => hub.openTabLink());
+  });
+
+  const joinRemote = () => run('Remote Join Failed.', async () => {
+    const { session: id } = await decodeSignal(codeInput, 'offer');
+    if (!id || !isSessionId(id)) throw new SessionError('Offer carries no session id.', 'SIGNAL');
+    const { answer: code } = await startWithLink('VIEWER', id, hub => hub.answerRemoteLink(codeInput.trim()));
+    setAnswer(code);
+    setCodeInput("");
+  });
+
+  const addRemoteViewer = () => run('Remote Offer Failed.', async () => {
+    if (pendingOffer) session.hub.closeLink(pendingOffer.linkId);
+    setPendingOffer(null);
+    setPendingOffer(await session.hub.offerRemoteLink());
+  });
+
+  const acceptAnswer = () => run('Remote Answer Rejected.', async () => {
+    await pendingOffer.accept(codeInput.trim());
+    onLog('SYS', 'Remote Viewer Answer Accepted.', `Link: ${pendingOffer.linkId}`);
+    setPendingOffer(null);
+    setCodeInput("");
+  });
+
+  const cancelOffer = () => {
+    session.hub.closeLink(pendingOffer.linkId);
+    setPendingOffer(null);
+  };
+
+  const codeField = (placeholder, onSubmit, submitLabel) => (
+    <div className="flex flex-col gap-1">
+      <textarea value={codeInput} onChange={(e) => setCodeInput(e.target.value)} placeholder={placeholder} rows={2} className="bg-black/40 rounded-lg px-2 py-1 text-[7px] text-white outline-none border border-white/10 resize-none normal-case" />
+      <div className="flex gap-1">
+        {supportsQrScan() && (
+          <button onClick={scan} className={`flex-1 py-1.5 rounded-lg flex items-center justify-center gap-1 ${scanning ? 'bg-red-500 text-white animate-pulse' : 'bg-white/5 text-slate-400'}`}><ScanLine size={10} /> {scanning ? 'Stop' : 'Scan'}</button>
+        )}
+        <button onClick={onSubmit} disabled={busy || !codeInput.trim()} className="flex-1 py-1.5 rounded-lg bg-indigo-600 text-white disabled:opacity-30">{submitLabel}</button>
+      </div>
+    </div>
+  );
+
+  const peerCount = session?.links.reduce((sum, l) => sum + l.peers, 0) || 0;
+
+  return (
+    <div className="bg-black/70 backdrop-blur-md p-3 rounded-lg border border-white/10 flex flex-col gap-2 w-64 shadow-2xl text-[7px] font-black uppercase tracking-widest text-indigo-400">
+      <div className="flex justify-between items-center">
+        <span className="text-[8px] text-indigo-300">Live_Session{session ? ` // ${session.role}` : ''}</span>
+        <button onClick={onClose} className="text-white/50 hover:text-white"><X size={12} /></button>
+      </div>
+
+      {!session && (
+        <>
+          <button onClick={hostSession} disabled={busy} className="py-2 rounded-lg bg-indigo-600 text-white flex items-center justify-center gap-1 disabled:opacity-30"><Radio size={10} /> Host_Session</button>
+          <div className="flex gap-1">
+            <input value={joinId} onChange={(e) => setJoinId(e.target.value)} placeholder="Session id" maxLength={6} className="flex-1 min-w-0 bg-black/40 rounded-lg px-2 py-1 text-[8px] text-white outline-none border border-white/10" />
+            <button onClick={joinTab} disabled={busy} className="px-3 rounded-lg bg-white/5 text-slate-400 hover:text-white flex items-center gap-1"><Monitor size={10} /> Join_Tab</button>
+          </div>
+          <span className="text-slate-500">Remote device: paste or scan the host's offer</span>
+          {codeField('ZS1.… offer code', joinRemote, 'Join_Remote')}
+        </>
+      )}
+
+      {session && (
+        <>
+          <div className="flex justify-between items-center text-white">
+            <span>ID: {session.sessionId}</span>
+            {session.role === 'HOST' && <button onClick={() => copy(`${location.origin}${location.pathname}#session=${session.sessionId}`)} className="flex items-center gap-1 text-slate-400 hover:text-white"><Copy size={10} /> Tab_Link</button>}
+          </div>
+          <div className="flex flex-col gap-0.5">
+            {session.links.map(link => (
+              <div key={link.id} className="flex justify-between items-center">
+                <span className={LINK_TINTS[link.state] || 'text-slate-500'}>{link.kind} #{link.id} // {link.state}</span>
+                <span className="text-slate-500">{session.role === 'HOST' ? `${link.peers} viewer${link.peers === 1 ? '' : 's'}` : link.peers ? 'Host' : '-'}</span>
+              </div>
+            ))}
+          </div>
+
+          {session.role === 'HOST' && !pendingOffer && (
+            <button onClick={addRemoteViewer} disabled={busy} className="py-1.5 rounded-lg bg-white/5 text-slate-400 hover:text-white flex items-center justify-center gap-1 disabled:opacity-30">
+              {busy ? <Loader2 size={10} className="animate-spin" /> : <Plus size={10} />} Add_Remote_Viewer
+            </button>
+          )}
+          {session.role === 'HOST' && pendingOffer && (
+            <>
+              <SignalCode label="1. Viewer scans this offer" code={pendingOffer.offer} onCopy={copy} />
+              <span className="text-slate-500">2. Paste or scan the viewer's answer</span>
+              {codeField('ZS1.… answer code', acceptAnswer, 'Accept')}
+              <button onClick={cancelOffer} className="text-slate-500 hover:text-white">Cancel_Offer</button>
+            </>
+          )}
+
+          {session.role === 'VIEWER' && answer && session.links.some(l => l.kind === 'RTC' && l.state === 'CONNECTING') && (
+            <SignalCode label="Host scans this answer" code={answer} onCopy={copy} />
+          )}
+          {session.role === 'VIEWER' && (
+            <button onClick={onRequestCapture} disabled={!peerCount} className="py-2 rounded-lg bg-white/5 text-slate-300 hover:text-white flex items-center justify-center gap-1 disabled:opacity-30"><Box size={10} /> Request_Capture</button>
+          )}
+
+          <button onClick={() => onEnd()} className="py-2 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-600 hover:text-white">{session.role === 'HOST' ? 'End_Session' : 'Leave_Session'}</button>
+        </>
+      )}
+
+      {panelError && <div className="text-red-400 normal-case break-words">{panelError}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useRef, useState } from 'react';
+import { describeCue, vttDataUrl } from './clipRecorder';
+
+// SECURE_VAULT card for a recorded clip: playback with the telemetry track as
+// captions, and a cue list that scrubs the video to each event.
+export default function VaultClip({ clip, badge, onExport, onPurge }) {
+  const videoRef = useRef(null);
+  const [currentMs, setCurrentMs] = useState(0);
+  const cues = clip.telemetry || [];
+  const activeIndex = cues.reduce((found, cue, i) => cue.t <= currentMs ? i : found, -1);
+
+  const seekTo = (ms) => {
+    if (!videoRef.current) return;
+    videoRef.current.currentTime = ms / 1000;
+    setCurrentMs(ms);
+  };
+
+  return (
+    <div className="relative bg-slate-900 rounded-[48px] overflow-hidden border border-white/5 shadow-2xl flex flex-col font-mono">
+      <video
+        ref={videoRef}
+        src={clip.url}
+        poster={clip.poster}
+        controls
+        playsInline
+        onTimeUpdate={(e) => setCurrentMs(e.currentTarget.currentTime * 1000)}
+        className="w-full aspect-video object-cover bg-black"
+      >
+        <track kind="captions" label="Zenith_Telemetry" srcLang="en" src={vttDataUrl(cues, clip.duration)} default />
+      </video>
+      <div className="p-6 flex flex-col gap-3">
+        {badge}
+        <div className="flex justify-between items-center">
+          <div className="text-[10px] font-black text-indigo-400 tracking-tighter uppercase underline decoration-indigo-500/30">Clip: {clip.mode}</div>
+          <div className="text-[8px] text-slate-500">{(clip.duration / 1000).toFixed(1)}s</div>
+        </div>
+        <div className="text-[7px] text-slate-500 break-all">Bits: {clip.bits} (W:{clip.weight}) // {clip.source || 'UNKNOWN'} // {clip.backend || '-'}</div>
+        <div className="max-h-28 overflow-y-auto no-scrollbar flex flex-col gap-1">
+          {cues.map((cue, i) => (
+            <button
+              key={i}
+              onClick={() => seekTo(cue.t)}
+              className={`text-left text-[8px] px-2 py-1 rounded-lg truncate transition-colors ${i === activeIndex ? 'bg-indigo-600/40 text-white' : 'text-slate-400 hover:bg-white/5'}`}
+            >
+              [{(cue.t / 1000).toFixed(1)}s] {describeCue(cue)}
+            </button>
+          ))}
+        </div>
+        <button onClick={onExport} className="w-full bg-white/5 text-slate-300 py-3 rounded-2xl font-black text-[10px] uppercase hover:bg-white/10 transition-all">Export_Signed</button>
+        <button onClick={onPurge} className="w-full bg-red-500/20 text-red-500 py-3 rounded-2xl font-black text-[10px] uppercase shadow-lg hover:bg-red-600 hover:text-white transition-all">Purge</button>
+      </div>
+    </div>
+  );
+}
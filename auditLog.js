@@ -0,0 +1,128 @@
+// Spectrum_Audit store: ISO-timestamped, severity-tagged entries persisted to IndexedDB
+// with a bounded retention, plus JSONL/CSV export for bug reports.
+
+import { promisify, openDatabase, withStore as withIdbStore, pruneOldest } from './idb';
+
+const DB_NAME = "zenith-audit";
+const DB_VERSION = 1;
+const LOGS = "logs";
+const RETENTION_STORAGE_KEY = "zenith.audit.retention";
+
+export const RETENTION_OPTIONS = [200, 1000, 5000];
+export const DEFAULT_RETENTION = 1000;
+
+const SEVERITY_BY_TYPE = {
+  ERR: 'error',
+  WARN: 'warn',
+  SEC: 'notice',
+  DEBUG: 'debug'
+};
+
+export const severityOf = (type) => SEVERITY_BY_TYPE[type] || 'info';
+
+export const createEntry = (type, msg, details = null) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  time: new Date().toISOString(),
+  severity: severityOf(type),
+  type,
+  msg,
+  details
+});
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, { [LOGS]: { keyPath: 'seq', autoIncrement: true } });
+const withStore = (mode, fn) => withIdbStore(openDb, LOGS, mode, fn);
+
+export const getRetention = () => {
+  const value = Number(localStorage.getItem(RETENTION_STORAGE_KEY));
+  return RETENTION_OPTIONS.includes(value) ? value : DEFAULT_RETENTION;
+};
+
+export const setRetention = (value) => localStorage.setItem(RETENTION_STORAGE_KEY, String(value));
+
+// Writes are batched so a burst of addLog calls costs one transaction. A failed write is
+// retried on its own with a doubling delay, so the log heals without waiting for new entries.
+let pending = [];
+let flushTimer = null;
+let reportError = null;
+const MAX_PENDING = 1000;
+const FLUSH_DELAY_MS = 250;
+const MAX_RETRY_DELAY_MS = 30000;
+let retryDelay = FLUSH_DELAY_MS;
+
+const scheduleFlush = (delay) => {
+  if (!flushTimer) flushTimer = setTimeout(() => flush().catch(err => reportError?.(err, pending.length)), delay);
+};
+
+const flush = async () => {
+  flushTimer = null;
+  const batch = pending;
+  pending = [];
+  if (!batch.length) return;
+  try {
+    await withStore('readwrite', async (store) => {
+      batch.forEach(entry => store.add(entry));
+      await pruneOldest(store, getRetention());
+    });
+    retryDelay = FLUSH_DELAY_MS;
+  } catch (err) {
+    // The failed batch goes back ahead of entries logged meanwhile.
+    pending = [...batch, ...pending].slice(-MAX_PENDING);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+    scheduleFlush(retryDelay);
+    throw err;
+  }
+};
+
+// onError(err, queued) reports a failed write; the entries stay queued for the retry.
+export const appendEntry = (entry, onError) => {
+  pending.push(entry);
+  if (onError) reportError = onError;
+  scheduleFlush(FLUSH_DELAY_MS);
+};
+
+// Newest first, matching the panel order. Pending writes are flushed first; if the store
+// will not take them, they are merged in behind whatever it already holds.
+export const loadEntries = async (limit = getRetention()) => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  await flush().catch(() => {});
+  const stored = await withStore('readonly', store => promisify(store.getAll())).catch(() => []);
+  const entries = [...stored.map(({ seq, ...entry }) => entry), ...pending];
+  return entries.slice(-limit).reverse();
+};
+
+export const applyRetention = (retention) => withStore('readwrite', store => pruneOldest(store, retention));
+
+// --- FILTERING ---
+export const filterEntries = (entries, { types = [], query = "" } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries.filter(entry =>
+    (!types.length || types.includes(entry.type)) &&
+    (!needle || `${entry.msg} ${entry.details || ''}`.toLowerCase().includes(needle))
+  );
+};
+
+// --- EXPORT ---
+const EXPORT_FIELDS = ['time', 'severity', 'type', 'msg', 'details'];
+
+// Exports expect entries oldest first.
+export const toJsonl = (entries) => entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (entries) => [
+  EXPORT_FIELDS.join(','),
+  ...entries.map(entry => EXPORT_FIELDS.map(field => csvCell(entry[field])).join(','))
+].join('\r\n') + '\r\n';
+
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (filename, text, mimeType) => downloadBlob(filename, new Blob([text], { type: mimeType }));
@@ -0,0 +1,81 @@
+// Semantic blueprint nodes: the structured decipher payload, its validation, and the
+// mapping from normalized frame coordinates onto the object-cover video box.
+
+export const MAX_NODES = 12;
+
+export const BLUEPRINT_SCHEMA_PROMPT = `Respond ONLY with JSON of this shape:
+{"summary": string (max 2 sentences),
+ "nodes": [{"label": string (max 24 chars), "description": string (1 sentence),
+            "box": [x, y, width, height] (normalized 0-1, origin top-left of the image),
+            "confidence": number 0-1}]}
+Return at most ${MAX_NODES} nodes.`;
+
+export class BlueprintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlueprintError';
+  }
+}
+
+const isUnit = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && n <= 1;
+
+// Models often wrap JSON in markdown fences; strip them before parsing.
+const extractJson = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new BlueprintError('No JSON object in response.');
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (err) {
+    throw new BlueprintError(`Invalid JSON: ${err.message}`);
+  }
+};
+
+const validateNode = (node, i) => {
+  if (!node || typeof node !== 'object') throw new BlueprintError(`nodes[${i}] is not an object.`);
+  if (typeof node.label !== 'string' || !node.label.trim()) throw new BlueprintError(`nodes[${i}].label must be a non-empty string.`);
+  if (!Array.isArray(node.box) || node.box.length !== 4 || !node.box.every(isUnit)) {
+    throw new BlueprintError(`nodes[${i}].box must be four numbers in [0, 1].`);
+  }
+  const [x, y, w, h] = node.box;
+  if (w <= 0 || h <= 0) throw new BlueprintError(`nodes[${i}].box has no area.`);
+  if (node.confidence !== undefined && !isUnit(node.confidence)) throw new BlueprintError(`nodes[${i}].confidence must be in [0, 1].`);
+  return {
+    id: i,
+    label: node.label.trim().substring(0, 24),
+    description: typeof node.description === 'string' ? node.description.trim() : "",
+    // Clip boxes that spill past the frame edge.
+    box: [x, y, Math.min(w, 1 - x), Math.min(h, 1 - y)],
+    confidence: node.confidence ?? null
+  };
+};
+
+export const parseBlueprint = (text) => {
+  const data = extractJson(text);
+  if (typeof data.summary !== 'string') throw new BlueprintError('summary must be a string.');
+  if (!Array.isArray(data.nodes)) throw new BlueprintError('nodes must be an array.');
+  return {
+    summary: data.summary.trim(),
+    nodes: data.nodes.slice(0, MAX_NODES).map(validateNode)
+  };
+};
+
+// Horizontal flip in normalized space, for mirrored (user-facing) output.
+export const mirrorBox = ([x, y, w, h]) => [1 - x - w, y, w, h];
+
+// Maps a normalized source-frame box to pixel coordinates inside an object-cover
+// container of size boxW x boxH, cropping the same way the browser does.
+export const mapBoxToCover = (box, { srcW, srcH, boxW, boxH, mirror = false }) => {
+  const [x, y, w, h] = mirror ? mirrorBox(box) : box;
+  const scale = Math.max(boxW / srcW, boxH / srcH);
+  const offsetX = (boxW - srcW * scale) / 2;
+  const offsetY = (boxH - srcH * scale) / 2;
+  return {
+    left: offsetX + x * srcW * scale,
+    top: offsetY + y * srcH * scale,
+    width: w * srcW * scale,
+    height: h * srcH * scale
+  };
+};
@@ -0,0 +1,108 @@
+// Optic link ownership: one controller owns the active MediaStream, enumerates video
+// inputs, applies track capabilities and reports unplugged devices.
+
+export const RESOLUTION_PRESETS = {
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 },
+  '4K': { width: 3840, height: 2160 }
+};
+
+export const FRAME_RATES = [24, 30, 60];
+
+// Capabilities surfaced in the HUD, when the track reports them.
+export const ADVANCED_CAPABILITIES = ['zoom', 'torch', 'focusMode', 'focusDistance', 'exposureMode', 'exposureCompensation'];
+
+const ERROR_MESSAGES = {
+  NotAllowedError: 'Camera permission denied. Allow access in the browser settings.',
+  SecurityError: 'Camera blocked by page security policy (HTTPS required).',
+  NotFoundError: 'No camera found for the requested device.',
+  OverconstrainedError: 'Camera cannot satisfy the requested settings.',
+  NotReadableError: 'Camera is in use by another application or failed to start.',
+  AbortError: 'Camera start was interrupted.'
+};
+
+export const describeCameraError = (err) => {
+  const base = ERROR_MESSAGES[err?.name] || 'Optic sensory blocked.';
+  return err?.name === 'OverconstrainedError' && err.constraint ? `${base} (${err.constraint})` : base;
+};
+
+export const listVideoInputs = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}`, groupId: d.groupId }));
+};
+
+const buildConstraints = ({ deviceId, facingMode, resolution, frameRate }) => {
+  const preset = RESOLUTION_PRESETS[resolution] || RESOLUTION_PRESETS['1080p'];
+  return {
+    video: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: { ideal: facingMode } }),
+      width: { ideal: preset.width },
+      height: { ideal: preset.height },
+      frameRate: { ideal: frameRate }
+    },
+    audio: false
+  };
+};
+
+// Calls back on plug/unplug; returns an unsubscribe function.
+export const watchVideoInputs = (callback) => {
+  const handler = () => listVideoInputs().then(callback).catch(() => {});
+  navigator.mediaDevices?.addEventListener('devicechange', handler);
+  return () => navigator.mediaDevices?.removeEventListener('devicechange', handler);
+};
+
+// onEnded fires when the device disappears mid-stream (unplugged, revoked).
+export const createCameraController = ({ onEnded } = {}) => {
+  let stream = null;
+  let endedByUs = false;
+  let generation = 0; // bumped by every open() and stop(); a pending open only lands if it is still current
+
+  const track = () => stream?.getVideoTracks()[0] || null;
+
+  const stop = () => {
+    generation++;
+    endedByUs = true;
+    stream?.getTracks().forEach(t => t.stop());
+    stream = null;
+  };
+
+  // Resolves with null when a later open() or stop() superseded this one; its stream is stopped.
+  const open = async (options) => {
+    stop();
+    const token = generation;
+    const next = await navigator.mediaDevices.getUserMedia(buildConstraints(options));
+    if (token !== generation) {
+      next.getTracks().forEach(t => t.stop());
+      return null;
+    }
+    endedByUs = false;
+    stream = next;
+    next.getVideoTracks()[0]?.addEventListener('ended', () => {
+      if (!endedByUs && stream === next) onEnded?.();
+    });
+    return next;
+  };
+
+  const getCapabilities = () => {
+    const t = track();
+    if (!t?.getCapabilities) return {};
+    const caps = t.getCapabilities();
+    return Object.fromEntries(ADVANCED_CAPABILITIES.filter(k => caps[k] !== undefined).map(k => [k, caps[k]]));
+  };
+
+  const getSettings = () => track()?.getSettings() || {};
+
+  // Applies one capability at a time so an unsupported value does not reject the rest.
+  const applySetting = async (name, value) => {
+    const t = track();
+    if (!t) return;
+    const advanced = { [name]: value };
+    // A focus distance only takes effect in manual focus mode.
+    if (name === 'focusDistance') advanced.focusMode = 'manual';
+    await t.applyConstraints({ advanced: [advanced] });
+  };
+
+  return { open, stop, getCapabilities, getSettings, applySetting, get stream() { return stream; } };
+};
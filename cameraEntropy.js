@@ -0,0 +1,216 @@
+// Camera entropy: sensor noise from the least-significant bits of optic feed frames,
+// health-tested as raw samples per colour channel (SP 800-90B repetition count and adaptive
+// proportion), debiased with a von Neumann extractor and conditioned through SHA-256.
+
+const SOURCE_STORAGE_KEY = "zenith_entropy_source";
+
+// PRNG: Math.random. CAMERA: conditioned sensor noise, falling back to PRNG if rejected.
+export const ENTROPY_SOURCES = ['PRNG', 'CAMERA'];
+
+const CROP_WIDTH = 256;
+const CROP_HEIGHT = 192;
+const MAX_FRAMES = 64;
+const MAX_STALE_FRAMES = 8;
+const STALE_MATCH_RATIO = 0.98; // a frame whose LSBs barely moved is the same frame again
+const FRAME_WAIT_MS = 40;
+const FRAME_TIMEOUT_MS = 250;
+
+// Assessed min-entropy per raw LSB and the false-alarm rate the cutoffs are sized for.
+const ASSESSED_ENTROPY = 0.5;
+const ALPHA_LOG2 = -20;
+const APT_WINDOW = 1024;
+const CONDITIONING_INPUT_BYTES = 64; // 512 debiased bits in per 256 bits out
+
+export class EntropyError extends Error {
+  constructor(message, code = 'FAILED') {
+    super(message);
+    this.name = 'EntropyError';
+    this.code = code; // NO_SIGNAL, STALE, HEALTH, EXHAUSTED, FAILED
+  }
+}
+
+export const loadEntropySource = () => {
+  const stored = localStorage.getItem(SOURCE_STORAGE_KEY);
+  return ENTROPY_SOURCES.includes(stored) ? stored : 'PRNG';
+};
+
+export const saveEntropySource = (source) => localStorage.setItem(SOURCE_STORAGE_KEY, source);
+
+// --- HEALTH TESTS ---
+// Smallest c with P[Binomial(n, p) >= c] <= 2^alphaLog2, summed in log space.
+export const binomialCutoff = (n, p, alphaLog2) => {
+  const logAlpha = alphaLog2 * Math.LN2;
+  const logPmf = [];
+  let logChoose = 0;
+  for (let k = 0; k <= n; k++) {
+    if (k > 0) logChoose += Math.log(n - k + 1) - Math.log(k);
+    logPmf.push(logChoose + k * Math.log(p) + (n - k) * Math.log(1 - p));
+  }
+  let tail = -Infinity;
+  for (let k = n; k >= 0; k--) {
+    const next = Math.max(tail, logPmf[k]) + Math.log1p(Math.exp(-Math.abs(tail - logPmf[k])));
+    if (next > logAlpha) return k + 1;
+    tail = next;
+  }
+  return 0;
+};
+
+export const REPETITION_CUTOFF = 1 + Math.ceil(-ALPHA_LOG2 / ASSESSED_ENTROPY);
+export const PROPORTION_CUTOFF = binomialCutoff(APT_WINDOW, 2 ** -ASSESSED_ENTROPY, ALPHA_LOG2);
+
+// Each test takes one raw sample at a time and returns false once the source looks stuck.
+export const createRepetitionCountTest = (cutoff = REPETITION_CUTOFF) => {
+  let last = null;
+  let run = 0;
+  return (sample) => {
+    run = sample === last ? run + 1 : 1;
+    last = sample;
+    return run < cutoff;
+  };
+};
+
+export const createAdaptiveProportionTest = (window = APT_WINDOW, cutoff = PROPORTION_CUTOFF) => {
+  let reference = null;
+  let seen = 0;
+  let matches = 0;
+  return (sample) => {
+    if (seen === 0) reference = sample;
+    if (sample === reference) matches++;
+    seen++;
+    const ok = matches < cutoff;
+    if (seen === window) seen = matches = 0;
+    return ok;
+  };
+};
+
+// --- EXTRACTION ---
+// Pairs 01 -> 0 and 10 -> 1; equal pairs are dropped. Output is unbiased for independent input.
+export const vonNeumann = (bits) => {
+  const out = [];
+  for (let i = 0; i + 1 < bits.length; i += 2) {
+    if (bits[i] !== bits[i + 1]) out.push(bits[i]);
+  }
+  return Uint8Array.from(out);
+};
+
+const packBits = (bits) => {
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => { bytes[i >> 3] |= bit << (7 - (i & 7)); });
+  return bytes;
+};
+
+// SHA-256 over each 512-bit block of debiased bits; a trailing partial block is discarded.
+export const conditionBits = async (bits) => {
+  const bytes = packBits(bits);
+  const blocks = Math.floor(bytes.length / CONDITIONING_INPUT_BYTES);
+  const out = new Uint8Array(blocks * 32);
+  for (let b = 0; b < blocks; b++) {
+    const block = bytes.subarray(b * CONDITIONING_INPUT_BYTES, (b + 1) * CONDITIONING_INPUT_BYTES);
+    out.set(new Uint8Array(await crypto.subtle.digest('SHA-256', block)), b * 32);
+  }
+  return out;
+};
+
+const CHANNELS = ['R', 'G', 'B'];
+
+// Splits RGBA pixels into one LSB stream per channel. Clipped values (0, 255) carry no sensor
+// noise, so they are left out of the streams; `plane` keeps every LSB for frame comparison.
+export const splitSamples = (data) => {
+  const plane = new Uint8Array((data.length >> 2) * 3);
+  const channels = CHANNELS.map(() => []);
+  for (let i = 0, b = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const value = data[i + c];
+      plane[b++] = value & 1;
+      if (value !== 0 && value !== 255) channels[c].push(value & 1);
+    }
+  }
+  return { plane, channels: channels.map(bits => Uint8Array.from(bits)) };
+};
+
+let scratch = null;
+
+// A native-resolution centre crop; scaling would average the noise away.
+export const frameSamples = (video) => {
+  if (!video?.videoWidth) return null;
+  const width = Math.min(CROP_WIDTH, video.videoWidth);
+  const height = Math.min(CROP_HEIGHT, video.videoHeight);
+  if (!scratch) scratch = document.createElement('canvas');
+  scratch.width = width;
+  scratch.height = height;
+  const ctx = scratch.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, (video.videoWidth - width) >> 1, (video.videoHeight - height) >> 1, width, height, 0, 0, width, height);
+  return splitSamples(ctx.getImageData(0, 0, width, height).data);
+};
+
+const sameRatio = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+};
+
+// A paused feed never presents another frame, so the wait is capped and staleness decides.
+const nextFrame = (video) => new Promise(resolve => {
+  const timer = setTimeout(resolve, video.requestVideoFrameCallback ? FRAME_TIMEOUT_MS : FRAME_WAIT_MS);
+  video.requestVideoFrameCallback?.(() => {
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+const toHex = (bytes) => [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+
+// --- HARVEST ---
+// Resolves with `byteCount` conditioned bytes and a report; rejects with EntropyError if the
+// feed is missing or frozen, or as soon as a health test trips on a channel's raw samples.
+export const harvestCameraEntropy = async (video, byteCount) => {
+  const neededBits = Math.ceil(byteCount / 32) * CONDITIONING_INPUT_BYTES * 8;
+  const health = CHANNELS.map(() => ({ repetition: createRepetitionCountTest(), proportion: createAdaptiveProportionTest(), seen: 0 }));
+  const debiased = [];
+  let rawBits = 0;
+  let frames = 0;
+  let stale = 0;
+  let previous = null;
+
+  while (debiased.length < neededBits) {
+    if (frames >= MAX_FRAMES) throw new EntropyError(`Only ${debiased.length}/${neededBits} bits after ${frames} frames.`, 'EXHAUSTED');
+    const samples = frameSamples(video);
+    if (!samples) throw new EntropyError('Optic feed has no frames.', 'NO_SIGNAL');
+    if (sameRatio(samples.plane, previous) >= STALE_MATCH_RATIO) {
+      if (++stale >= MAX_STALE_FRAMES) throw new EntropyError('Optic feed is frozen.', 'STALE');
+      await nextFrame(video);
+      continue;
+    }
+    previous = samples.plane;
+    frames++;
+    if (samples.channels.every(bits => !bits.length)) throw new EntropyError('Optic feed is fully clipped (black or saturated).', 'NO_SIGNAL');
+    samples.channels.forEach((bits, c) => {
+      const tests = health[c];
+      for (let i = 0; i < bits.length; i++) {
+        if (!tests.repetition(bits[i])) throw new EntropyError(`Repetition count test failed on ${CHANNELS[c]} (cutoff ${REPETITION_CUTOFF}) at sample ${tests.seen + i}.`, 'HEALTH');
+        if (!tests.proportion(bits[i])) throw new EntropyError(`Adaptive proportion test failed on ${CHANNELS[c]} (cutoff ${PROPORTION_CUTOFF}/${APT_WINDOW}) at sample ${tests.seen + i}.`, 'HEALTH');
+      }
+      tests.seen += bits.length;
+      rawBits += bits.length;
+      for (const bit of vonNeumann(bits)) debiased.push(bit);
+    });
+    if (debiased.length < neededBits) await nextFrame(video);
+  }
+
+  const bytes = (await conditionBits(debiased.slice(0, neededBits))).subarray(0, byteCount);
+  const fingerprint = toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))).substring(0, 16);
+  return { bytes, report: { frames, rawBits, debiasedBits: debiased.length, fingerprint } };
+};
+
+// Uniform [0, 1) from 32 bits per draw. Throws rather than ever reusing a byte.
+export const createPoolRng = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  return () => {
+    if (offset + 4 > bytes.byteLength) throw new EntropyError('Entropy pool exhausted.', 'EXHAUSTED');
+    const value = view.getUint32(offset);
+    offset += 4;
+    return value / 2 ** 32;
+  };
+};
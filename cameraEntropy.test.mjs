@@ -0,0 +1,107 @@
+// Run with `node --test`. Covers the statistical paths of the camera entropy source.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  binomialCutoff, createRepetitionCountTest, createAdaptiveProportionTest, vonNeumann, splitSamples,
+  conditionBits, createPoolRng, REPETITION_CUTOFF, PROPORTION_CUTOFF, EntropyError
+} from './cameraEntropy.js';
+
+const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+};
+
+const bits = (n, rng, p = 0.5) => Uint8Array.from({ length: n }, () => rng() < p ? 1 : 0);
+
+// Exact upper tail of Binomial(n, 1/2) as a fraction of 2^n.
+const exactTail = (n, c) => {
+  let choose = 1n;
+  let tail = 0n;
+  for (let k = 0; k <= n; k++) {
+    if (k > 0) choose = choose * BigInt(n - k + 1) / BigInt(k);
+    if (k >= c) tail += choose;
+  }
+  return tail;
+};
+
+test('binomialCutoff is the smallest count whose upper tail is within alpha', () => {
+  for (const [n, alphaLog2] of [[64, -10], [1024, -20], [1024, -30]]) {
+    const c = binomialCutoff(n, 0.5, alphaLog2);
+    const limit = (1n << BigInt(n)) >> BigInt(-alphaLog2); // 2^n * alpha
+    assert.ok(exactTail(n, c) <= limit, `n=${n}: tail at ${c} exceeds alpha`);
+    assert.ok(exactTail(n, c - 1) > limit, `n=${n}: ${c - 1} would already do`);
+  }
+});
+
+test('cutoffs match the assessed entropy of 0.5 bits per sample at alpha 2^-20', () => {
+  assert.equal(REPETITION_CUTOFF, 41);
+  assert.ok(PROPORTION_CUTOFF > 0.5 ** 0.5 * 1024 && PROPORTION_CUTOFF < 1024);
+});
+
+test('repetition count test trips on the cutoff-th identical sample only', () => {
+  const check = createRepetitionCountTest(5);
+  [1, 1, 1, 1].forEach(b => assert.equal(check(b), true));
+  assert.equal(check(1), false);
+
+  const fresh = createRepetitionCountTest(5);
+  [1, 1, 1, 1, 0, 0, 0, 0, 1].forEach(b => assert.equal(fresh(b), true));
+});
+
+test('adaptive proportion test counts matches of the window reference and resets per window', () => {
+  const check = createAdaptiveProportionTest(8, 6);
+  // Reference 1, five matches in the window: passes; the window then restarts.
+  [1, 0, 1, 0, 1, 0, 1, 1].forEach(b => assert.equal(check(b), true));
+  // Next window: sixth match of reference 0 trips.
+  [0, 0, 0, 0, 0].forEach(b => assert.equal(check(b), true));
+  assert.equal(check(0), false);
+});
+
+test('health tests pass unbiased noise and catch stuck or biased sources', () => {
+  const noise = bits(200000, seeded(3));
+  const repetition = createRepetitionCountTest();
+  const proportion = createAdaptiveProportionTest();
+  assert.ok(noise.every(b => repetition(b) && proportion(b)));
+
+  const stuck = createRepetitionCountTest();
+  assert.equal(new Uint8Array(REPETITION_CUTOFF).fill(1).every(b => stuck(b)), false);
+
+  const biased = createAdaptiveProportionTest();
+  assert.equal(bits(4096, seeded(5), 0.9).every(b => biased(b)), false);
+});
+
+test('vonNeumann maps 01 -> 0, 10 -> 1 and drops equal pairs', () => {
+  assert.deepEqual([...vonNeumann(Uint8Array.of(0, 1, 1, 0, 0, 0, 1, 1, 1))], [0, 1]);
+});
+
+test('vonNeumann output is unbiased for biased independent input', () => {
+  const out = vonNeumann(bits(400000, seeded(9), 0.8));
+  const ones = out.reduce((a, b) => a + b, 0) / out.length;
+  assert.ok(Math.abs(ones - 0.5) < 0.01, `P(1) = ${ones}`);
+  // Expected yield is 2p(1-p) per pair = 0.16 per input bit.
+  assert.ok(Math.abs(out.length / 400000 - 0.16) < 0.005);
+});
+
+test('splitSamples keeps one stream per channel and skips clipped values', () => {
+  const data = Uint8Array.of(
+    0, 255, 3, 9, // R clipped, G clipped, B 3
+    7, 8, 255, 9,
+    0, 0, 0, 9
+  );
+  const { plane, channels } = splitSamples(data);
+  assert.deepEqual([...plane], [0, 1, 1, 1, 0, 1, 0, 0, 0]);
+  assert.deepEqual(channels.map(c => [...c]), [[1], [0], [1]]);
+});
+
+test('conditioning yields 32 bytes per 512 input bits and the pool rng never reuses them', async () => {
+  const out = await conditionBits([...bits(1024 + 100, seeded(13))]);
+  assert.equal(out.length, 64);
+  const rng = createPoolRng(out);
+  for (let i = 0; i < 16; i++) {
+    const v = rng();
+    assert.ok(v >= 0 && v < 1);
+  }
+  assert.throws(rng, err => err instanceof EntropyError && err.code === 'EXHAUSTED');
+});
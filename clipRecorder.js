@@ -0,0 +1,115 @@
+// Clip capture: records the filtered spectrum canvas with MediaRecorder and keeps a
+// time-aligned telemetry track of mode switches, teleport results and decipher output.
+
+export const MAX_CLIP_SECONDS = 60;
+const CLIP_BITRATE = 2500000;
+
+const MIME_CANDIDATES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+export const pickClipMimeType = () =>
+  typeof MediaRecorder === 'undefined' ? null : MIME_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+
+// --- TELEMETRY ---
+export const createTelemetryTrack = (startedAt = performance.now()) => {
+  const cues = [];
+  return {
+    cues,
+    add: (type, data) => cues.push({ t: Math.max(0, Math.round(performance.now() - startedAt)), type, data })
+  };
+};
+
+export const describeCue = ({ type, data }) => {
+  switch (type) {
+    case 'MODE': return `MODE ${data.mode}`;
+    case 'TELEPORT': return `TELEPORT ${data.bits} W:${data.weight}`;
+    case 'DECIPHER': return `DECIPHER ${data.summary}`;
+    default: return `${type} ${JSON.stringify(data)}`;
+  }
+};
+
+const vttTime = (ms) => {
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+};
+
+// Each cue stays on screen until the next one (or the end of the clip).
+export const toWebVtt = (cues, durationMs) => [
+  'WEBVTT',
+  '',
+  ...cues.flatMap((cue, i) => {
+    const end = Math.max(cue.t + 1, i + 1 < cues.length ? cues[i + 1].t : durationMs);
+    return [`${vttTime(cue.t)} --> ${vttTime(end)}`, describeCue(cue), ''];
+  })
+].join('\n');
+
+export const vttDataUrl = (cues, durationMs) => `data:text/vtt;charset=utf-8,${encodeURIComponent(toWebVtt(cues, durationMs))}`;
+
+// --- RECORDER ---
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Starts recording `canvas`. stop() resolves with the clip; cancel() discards it.
+// Recording stops by itself after MAX_CLIP_SECONDS, calling onAutoStop. A recorder error
+// ends the recording and calls onError; a later stop() rejects with that error.
+export const startClipRecording = (canvas, { fps = 30, onAutoStop, onError } = {}) => {
+  const mimeType = pickClipMimeType();
+  if (!mimeType || !canvas.captureStream) throw new Error('Clip recording unsupported in this browser.');
+
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CLIP_BITRATE });
+  const chunks = [];
+  const startedAt = performance.now();
+  const telemetry = createTelemetryTrack(startedAt);
+  const poster = canvas.toDataURL('image/jpeg', 0.6);
+  let cancelled = false;
+  let failure = null;
+  let autoStop = null;
+
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach(t => t.stop());
+      resolve();
+    };
+    recorder.onerror = (e) => {
+      failure = e.error || new Error('Recorder failure.');
+      clearTimeout(autoStop);
+      stream.getTracks().forEach(t => t.stop());
+      resolve();
+      onError?.(failure);
+    };
+  });
+  recorder.start(1000);
+  autoStop = setTimeout(() => onAutoStop?.(), MAX_CLIP_SECONDS * 1000);
+
+  const stop = async () => {
+    clearTimeout(autoStop);
+    if (recorder.state !== 'inactive') recorder.stop();
+    await finished;
+    if (cancelled) return null;
+    if (failure) throw failure;
+    const blob = new Blob(chunks, { type: mimeType });
+    return {
+      url: await blobToDataUrl(blob),
+      poster,
+      mimeType,
+      duration: Math.round(performance.now() - startedAt),
+      size: blob.size,
+      telemetry: telemetry.cues
+    };
+  };
+
+  const cancel = () => {
+    cancelled = true;
+    return stop();
+  };
+
+  return { stop, cancel, telemetry, startedAt };
+};
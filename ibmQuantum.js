@@ -0,0 +1,259 @@
+// IBM Quantum job pipeline: circuit synthesis, submission, polling, result collapse.
+
+export const DEFAULT_IBM_CONFIG = {
+  authUrl: "https://auth.quantum-computing.ibm.com/api",
+  jobsUrl: "https://api.quantum-computing.ibm.com/runtime",
+  backend: "ibm_brisbane",
+  shots: 1024
+};
+
+const CONFIG_STORAGE_KEY = "zenith.ibm.config";
+
+export const loadIbmConfig = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || "{}");
+    return { ...DEFAULT_IBM_CONFIG, ...stored };
+  } catch {
+    return { ...DEFAULT_IBM_CONFIG };
+  }
+};
+
+export const saveIbmConfig = (config) => {
+  try {
+    localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+  } catch {
+    // Storage unavailable (private mode); config stays in memory only.
+  }
+};
+
+export class IbmJobError extends Error {
+  constructor(message, { code = 'FAILED', status = null, jobId = null } = {}) {
+    super(message);
+    this.name = 'IbmJobError';
+    this.code = code; // FAILED, TOKEN_EXPIRED, CANCELLED, TIMEOUT, NETWORK
+    this.status = status;
+    this.jobId = jobId;
+  }
+}
+
+// The job is still alive on IBM's side: polling it again later picks up where this left off.
+export const isResumableJobError = (err) =>
+  err instanceof IbmJobError && !!err.jobId && ['NETWORK', 'TIMEOUT', 'TOKEN_EXPIRED'].includes(err.code);
+
+// --- CIRCUIT SYNTHESIS ---
+// Qubits are grouped in triples (payload, alice, bob). Each payload is prepared from
+// the next PARITY_KEY symbol and teleported to bob with deferred measurement, so the
+// circuit needs no classical feed-forward. Leftover qubits are prepared and measured directly.
+//   '0' -> |0>   '1' -> |1>   '*' -> |+>   '-' -> |->
+const prepareSymbol = (symbol, q) => {
+  switch (symbol) {
+    case '1': return [{ gate: 'x', qubits: [q] }];
+    case '*': return [{ gate: 'h', qubits: [q] }];
+    case '-': return [{ gate: 'x', qubits: [q] }, { gate: 'h', qubits: [q] }];
+    default: return [];
+  }
+};
+
+export const buildTeleportCircuit = (bitCount, parityKey) => {
+  const ops = [];
+  const payloads = [];
+  let keyIndex = 0;
+  const nextSymbol = () => parityKey[keyIndex++ % parityKey.length];
+
+  let q = 0;
+  for (; q + 2 < bitCount; q += 3) {
+    const [payload, alice, bob] = [q, q + 1, q + 2];
+    const symbol = nextSymbol();
+    payloads.push({ payload, bob, symbol });
+    ops.push(...prepareSymbol(symbol, payload));
+    // Bell pair between alice and bob
+    ops.push({ gate: 'h', qubits: [alice] }, { gate: 'cx', qubits: [alice, bob] });
+    // Bell-basis rotation on the sender side
+    ops.push({ gate: 'cx', qubits: [payload, alice] }, { gate: 'h', qubits: [payload] });
+    // Deferred corrections: X from alice, Z from payload (CZ = H.CX.H on the target)
+    ops.push({ gate: 'cx', qubits: [alice, bob] });
+    ops.push({ gate: 'h', qubits: [bob] }, { gate: 'cx', qubits: [payload, bob] }, { gate: 'h', qubits: [bob] });
+  }
+  for (; q < bitCount; q++) ops.push(...prepareSymbol(nextSymbol(), q));
+  for (let m = 0; m < bitCount; m++) ops.push({ gate: 'measure', qubits: [m] });
+
+  return { qubits: bitCount, ops, payloads };
+};
+
+export const circuitToQasm = (circuit) => {
+  const lines = [
+    'OPENQASM 2.0;',
+    'include "qelib1.inc";',
+    `qreg q[${circuit.qubits}];`,
+    `creg c[${circuit.qubits}];`
+  ];
+  circuit.ops.forEach(({ gate, qubits }) => {
+    if (gate === 'measure') lines.push(`measure q[${qubits[0]}] -> c[${qubits[0]}];`);
+    else lines.push(`${gate} ${qubits.map(i => `q[${i}]`).join(',')};`);
+  });
+  return lines.join('\n');
+};
+
+// --- COUNTS ---
+// Counts use Qiskit ordering (highest classical bit first). Keys may arrive as
+// binary strings, hex ("0x1f") or integers from quasi-distributions, in which case
+// the probabilities are scaled by the shot count.
+export const normalizeCounts = (raw, bitCount, shots = null) => {
+  const counts = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const n = key.startsWith('0x') ? parseInt(key, 16) : /^[01]+$/.test(key) && key.length === bitCount ? parseInt(key, 2) : parseInt(key, 10);
+    if (Number.isNaN(n)) return;
+    const bitstring = n.toString(2).padStart(bitCount, '0').slice(-bitCount);
+    const hits = shots ? Math.round(value * shots) : value;
+    counts[bitstring] = (counts[bitstring] || 0) + hits;
+  });
+  return counts;
+};
+
+export const extractCounts = (result, bitCount, shots) => {
+  const legacy = result?.results?.[0]?.data?.counts;
+  if (legacy) return normalizeCounts(legacy, bitCount);
+  if (result?.counts) return normalizeCounts(result.counts, bitCount);
+  const quasi = result?.quasi_dists?.[0];
+  if (quasi) return normalizeCounts(quasi, bitCount, result?.metadata?.[0]?.shots || shots);
+  throw new IbmJobError('Result payload carried no counts.', { code: 'FAILED' });
+};
+
+// Collapses a counts histogram into the register: the modal outcome becomes the
+// register bits (qubit 0 first) and the weight is the mean Hamming weight per qubit.
+export const collapseCounts = (counts, bitCount) => {
+  const entries = Object.entries(counts);
+  if (!entries.length) throw new IbmJobError('Empty counts histogram.', { code: 'FAILED' });
+  const shots = entries.reduce((sum, [, n]) => sum + n, 0);
+  const [modal] = entries.reduce((best, entry) => entry[1] > best[1] ? entry : best);
+  const bits = modal.split('').reverse().map(Number);
+  const ones = entries.reduce((sum, [key, n]) => sum + n * key.split('').filter(b => b === '1').length, 0);
+  return { bits, bitstring: bits.join(''), weight: ones / (shots * bitCount), shots };
+};
+
+// --- REST ---
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const request = async (url, { accessToken, signal, ...init } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(accessToken ? { 'X-Access-Token': accessToken } : {})
+      }
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new IbmJobError('IBM Bridge Blocked (CORS/Network)', { code: 'NETWORK' });
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new IbmJobError('IBM Access Token Expired.', { code: 'TOKEN_EXPIRED', status: response.status });
+  }
+  if (!response.ok) {
+    const errText = await response.text().catch(() => "");
+    throw new IbmJobError(`IBM Rejected Request [${response.status}]: ${errText.substring(0, 50)}`, { status: response.status });
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+export const loginWithToken = async (config, apiToken) => {
+  const authData = await request(`${config.authUrl}/users/loginWithToken`, {
+    method: 'POST',
+    body: JSON.stringify({ apiToken })
+  });
+  return authData.id;
+};
+
+export const submitJob = async (config, accessToken, qasm, signal) => {
+  const job = await request(`${config.jobsUrl}/jobs`, {
+    method: 'POST',
+    accessToken,
+    signal,
+    body: JSON.stringify({
+      program_id: 'sampler',
+      backend: config.backend,
+      params: { circuits: [qasm], shots: config.shots }
+    })
+  });
+  return job.id;
+};
+
+export const cancelJob = (config, accessToken, jobId) =>
+  request(`${config.jobsUrl}/jobs/${jobId}/cancel`, { method: 'POST', accessToken }).catch(() => null);
+
+const TERMINAL_STATES = { COMPLETED: 'DONE', DONE: 'DONE', FAILED: 'FAILED', ERROR: 'FAILED', CANCELLED: 'CANCELLED' };
+
+// Polls with exponential backoff until the job reaches a terminal state.
+// onStatus fires only on transitions (QUEUED -> RUNNING -> DONE).
+export const pollJob = async (config, accessToken, jobId, { signal, onStatus, initialDelay = 1000, maxDelay = 15000, timeout = 600000 } = {}) => {
+  const deadline = Date.now() + timeout;
+  let delay = initialDelay;
+  let lastStatus = null;
+
+  while (Date.now() < deadline) {
+    const job = await request(`${config.jobsUrl}/jobs/${jobId}`, { accessToken, signal });
+    const raw = String(job.status || job.state?.status || 'QUEUED').toUpperCase();
+    const status = TERMINAL_STATES[raw] || (raw === 'RUNNING' ? 'RUNNING' : 'QUEUED');
+    if (status !== lastStatus) {
+      lastStatus = status;
+      onStatus?.(status, job);
+    }
+    if (status === 'DONE') return job;
+    if (status === 'FAILED') throw new IbmJobError(job.state?.reason || 'Job failed on backend.', { jobId });
+    if (status === 'CANCELLED') throw new IbmJobError('Job cancelled on backend.', { code: 'CANCELLED', jobId });
+
+    await sleep(delay, signal);
+    delay = Math.min(delay * 1.5, maxDelay);
+  }
+  throw new IbmJobError('Job polling timed out.', { code: 'TIMEOUT', jobId });
+};
+
+export const fetchJobResult = (config, accessToken, jobId, signal) =>
+  request(`${config.jobsUrl}/jobs/${jobId}/results`, { accessToken, signal });
+
+// Full pipeline. Aborting the signal cancels the remote job as well. Passing the `jobId` of
+// an already submitted job resumes polling it instead of submitting the circuit again.
+export const runTeleportJob = async ({ config, accessToken, circuit, signal, onStage, jobId: submittedJobId = null }) => {
+  const qasm = circuitToQasm(circuit);
+  let jobId = submittedJobId;
+  const onAbort = () => jobId && cancelJob(config, accessToken, jobId);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    if (jobId) {
+      onStage?.('RESUMED', { jobId });
+    } else {
+      jobId = await submitJob(config, accessToken, qasm, signal);
+      // An abort that landed while the submission was in flight saw no jobId to cancel.
+      if (signal?.aborted) {
+        onAbort();
+        signal.throwIfAborted();
+      }
+      onStage?.('SUBMITTED', { jobId });
+    }
+    await pollJob(config, accessToken, jobId, { signal, onStatus: (status) => onStage?.(status, { jobId }) });
+    const result = await fetchJobResult(config, accessToken, jobId, signal);
+    const counts = extractCounts(result, circuit.qubits, config.shots);
+    return { jobId, counts, ...collapseCounts(counts, circuit.qubits) };
+  } catch (err) {
+    if (signal?.aborted) throw new IbmJobError('Job cancelled by operator.', { code: 'CANCELLED', jobId });
+    if (err instanceof IbmJobError && !err.jobId) err.jobId = jobId;
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
@@ -0,0 +1,147 @@
+// Run with `node --test`. The pipeline talks to a local mock of the IBM auth and job endpoints.
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { DEFAULT_IBM_CONFIG, buildTeleportCircuit, loginWithToken, runTeleportJob, IbmJobError, isResumableJobError } from './ibmQuantum.js';
+
+const ACCESS_TOKEN = 'access-7';
+let server;
+let config;
+let jobs; // id -> { statuses, result, reason, body }; `next` overrides the next job created
+let cancelled;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const handle = async (req, res) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  const body = raw ? JSON.parse(raw) : null;
+  const { pathname } = new URL(req.url, 'http://mock');
+
+  if (pathname === '/api/users/loginWithToken') {
+    return body.apiToken === 'good' ? send(res, 200, { id: ACCESS_TOKEN }) : send(res, 401, { error: 'bad token' });
+  }
+  if (req.headers['x-access-token'] !== ACCESS_TOKEN) return send(res, 401, { error: 'expired' });
+
+  if (req.method === 'POST' && pathname === '/runtime/jobs') {
+    const { next, ...created } = jobs;
+    const id = `job-${Object.keys(created).length + 1}`;
+    jobs = { ...created, [id]: { statuses: ['QUEUED', 'RUNNING', 'COMPLETED'], result: { quasi_dists: [{ 0: 0.75, 3: 0.25 }], metadata: [{ shots: 1024 }] }, ...next, body } };
+    return send(res, 200, { id });
+  }
+  const [, , , id, action] = pathname.split('/');
+  const job = jobs[id];
+  if (!job) return send(res, 404, { error: 'no such job' });
+  if (action === 'cancel') {
+    cancelled.push(id);
+    return send(res, 204);
+  }
+  if (action === 'results') return send(res, 200, job.result);
+  const status = job.statuses.length > 1 ? job.statuses.shift() : job.statuses[0];
+  return send(res, 200, { id, status, state: { status, reason: job.reason } });
+};
+
+before(async () => {
+  server = createServer((req, res) => handle(req, res).catch(() => send(res, 500, {})));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  config = { ...DEFAULT_IBM_CONFIG, authUrl: `${base}/api`, jobsUrl: `${base}/runtime`, shots: 1024 };
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  jobs = {};
+  cancelled = [];
+});
+
+const circuit = buildTeleportCircuit(2, '1');
+
+test('loginWithToken exchanges the API token for an access token', async () => {
+  assert.equal(await loginWithToken(config, 'good'), ACCESS_TOKEN);
+  await assert.rejects(loginWithToken(config, 'bad'), err => err instanceof IbmJobError && err.code === 'TOKEN_EXPIRED');
+});
+
+test('runTeleportJob submits the circuit, reports each transition and collapses the counts', async () => {
+  const stages = [];
+  const result = await runTeleportJob({ config, accessToken: ACCESS_TOKEN, circuit, onStage: (stage, { jobId }) => stages.push(`${stage}:${jobId}`) });
+
+  assert.deepEqual(stages, ['SUBMITTED:job-1', 'QUEUED:job-1', 'RUNNING:job-1', 'DONE:job-1']);
+  assert.equal(jobs['job-1'].body.backend, config.backend);
+  assert.match(jobs['job-1'].body.params.circuits[0], /^OPENQASM 2\.0;/);
+  assert.deepEqual(result.counts, { '00': 768, '11': 256 });
+  assert.equal(result.bitstring, '00');
+  assert.equal(result.shots, 1024);
+});
+
+test('a job that fails on the backend rejects with its jobId and reason', async () => {
+  jobs.next = { statuses: ['FAILED'], reason: 'Backend calibrating' };
+  await assert.rejects(
+    runTeleportJob({ config, accessToken: ACCESS_TOKEN, circuit }),
+    err => err instanceof IbmJobError && err.code === 'FAILED' && err.jobId === 'job-1' && err.message === 'Backend calibrating'
+  );
+});
+
+test('an expired access token surfaces as TOKEN_EXPIRED', async () => {
+  await assert.rejects(
+    runTeleportJob({ config, accessToken: 'stale', circuit }),
+    err => err instanceof IbmJobError && err.code === 'TOKEN_EXPIRED' && err.jobId === null
+  );
+});
+
+test('aborting while polling cancels the remote job', async () => {
+  jobs.next = { statuses: ['QUEUED'] };
+  const controller = new AbortController();
+  const run = runTeleportJob({
+    config, accessToken: ACCESS_TOKEN, circuit, signal: controller.signal,
+    onStage: (stage) => stage === 'QUEUED' && controller.abort()
+  });
+  await assert.rejects(run, err => err.code === 'CANCELLED' && err.jobId === 'job-1');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(cancelled, ['job-1']);
+});
+
+test('an abort that lands while the submission is in flight still cancels the created job', async () => {
+  const controller = new AbortController();
+  const realFetch = globalThis.fetch;
+  // Abort once IBM has answered the POST but before runTeleportJob sees the job id.
+  globalThis.fetch = async (url, init) => {
+    const response = await realFetch(url, init);
+    if (init.method !== 'POST' || !String(url).endsWith('/jobs')) return response;
+    const job = await response.json();
+    controller.abort();
+    return { ok: true, status: 200, json: async () => job };
+  };
+  try {
+    await assert.rejects(
+      runTeleportJob({ config, accessToken: ACCESS_TOKEN, circuit, signal: controller.signal }),
+      err => err.code === 'CANCELLED' && err.jobId === 'job-1'
+    );
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(cancelled, ['job-1']);
+});
+
+test('passing a jobId resumes polling that job without submitting the circuit again', async () => {
+  jobs = { 'job-9': { statuses: ['RUNNING', 'COMPLETED'], result: { counts: { '01': 10 } } } };
+  const stages = [];
+  const result = await runTeleportJob({ config, accessToken: ACCESS_TOKEN, circuit, jobId: 'job-9', onStage: (stage, { jobId }) => stages.push(`${stage}:${jobId}`) });
+
+  assert.deepEqual(Object.keys(jobs), ['job-9']);
+  assert.deepEqual(stages, ['RESUMED:job-9', 'RUNNING:job-9', 'DONE:job-9']);
+  assert.equal(result.jobId, 'job-9');
+  assert.equal(result.bitstring, '10');
+});
+
+test('isResumableJobError only accepts failures of a job IBM may still be running', () => {
+  assert.equal(isResumableJobError(new IbmJobError('blip', { code: 'NETWORK', jobId: 'job-1' })), true);
+  assert.equal(isResumableJobError(new IbmJobError('slow', { code: 'TIMEOUT', jobId: 'job-1' })), true);
+  assert.equal(isResumableJobError(new IbmJobError('blip', { code: 'NETWORK' })), false);
+  assert.equal(isResumableJobError(new IbmJobError('dead', { code: 'FAILED', jobId: 'job-1' })), false);
+});
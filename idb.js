@@ -0,0 +1,104 @@
+// Minimal promise wrappers over IndexedDB shared by the vault, audit and run history stores.
+
+const BLOCKED_GRACE_MS = 3000;
+
+export class IdbError extends Error {
+  constructor(message, code = 'FAILED') {
+    super(message);
+    this.name = 'IdbError';
+    this.code = code; // FAILED, BLOCKED
+  }
+}
+
+export const promisify = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// `stores` maps store name -> createObjectStore options; missing stores are created on upgrade.
+export const openDatabase = (name, version, stores) => new Promise((resolve, reject) => {
+  const req = indexedDB.open(name, version);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    Object.entries(stores).forEach(([store, options]) => {
+      if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, options);
+    });
+  };
+  req.onsuccess = () => {
+    // Yield to a delete or upgrade started from another tab instead of blocking it.
+    req.result.onversionchange = () => req.result.close();
+    resolve(req.result);
+  };
+  req.onerror = () => reject(req.error);
+});
+
+// Runs fn(stores) inside one transaction spanning `names` and resolves once it commits.
+// A failed request or a throw from fn aborts the transaction, so no write lands half-way.
+export const withStores = async (open, names, mode, fn) => {
+  const db = await open();
+  try {
+    const tx = db.transaction(names, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    let result;
+    try {
+      result = await fn(names.map(name => tx.objectStore(name)));
+    } catch (err) {
+      done.catch(() => {});
+      try {
+        tx.abort();
+      } catch {
+        // Already committed or aborted.
+      }
+      throw err;
+    }
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+// Runs fn inside a single-store transaction and resolves once it commits.
+export const withStore = (open, name, mode, fn) => withStores(open, [name], mode, ([store]) => fn(store));
+
+// Drops the oldest records beyond `keep`. Assumes monotonic (autoIncrement) keys.
+export const pruneOldest = (store, keep) => new Promise((resolve, reject) => {
+  const countReq = store.count();
+  countReq.onerror = () => reject(countReq.error);
+  countReq.onsuccess = () => {
+    let excess = countReq.result - keep;
+    if (excess <= 0) return resolve();
+    const cursorReq = store.openCursor();
+    cursorReq.onerror = () => reject(cursorReq.error);
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor || excess <= 0) return resolve();
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
+});
+
+// Connections opened here close themselves on versionchange, so a block only outlasts the grace
+// period when something else (an older tab, devtools) holds the database open. The delete stays
+// queued in the browser and completes once that connection closes.
+export const deleteDatabase = (name) => new Promise((resolve, reject) => {
+  const req = indexedDB.deleteDatabase(name);
+  let timer = null;
+  req.onblocked = () => {
+    timer = setTimeout(() => reject(new IdbError(`${name} is held open elsewhere; close other Zenith tabs to finish the wipe.`, 'BLOCKED')), BLOCKED_GRACE_MS);
+  };
+  req.onsuccess = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+  req.onerror = () => {
+    clearTimeout(timer);
+    reject(req.error);
+  };
+});
@@ -0,0 +1,112 @@
+// JPEG metadata scrubbing. Every APPn/COM segment that can carry EXIF, GPS, IPTC or
+// maker data is dropped; only JFIF, ICC colour profiles and the Adobe colour transform
+// survive. Zenith fields travel in a freshly written XMP packet instead.
+
+export class JpegError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JpegError';
+  }
+}
+
+const SOI = 0xd8;
+const SOS = 0xda;
+const EOI = 0xd9;
+const APP0 = 0xe0;
+const APP1 = 0xe1;
+const APP2 = 0xe2;
+const APP14 = 0xee;
+const COM = 0xfe;
+
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const MAX_SEGMENT_PAYLOAD = 65533;
+export const XMP_NAMESPACE = 'urn:zenith:artifact:1.0';
+
+const startsWith = (bytes, offset, text) => [...text].every((c, i) => bytes[offset + i] === c.charCodeAt(0));
+
+export const isJpeg = (bytes) => bytes.length > 3 && bytes[0] === 0xff && bytes[1] === SOI && bytes[2] === 0xff;
+
+const keepSegment = (marker, bytes, payload) => {
+  if (marker === APP0) return startsWith(bytes, payload, 'JFIF\0');
+  if (marker === APP2) return startsWith(bytes, payload, 'ICC_PROFILE\0');
+  if (marker === APP14) return startsWith(bytes, payload, 'Adobe');
+  return !(marker >= APP0 && marker <= 0xef) && marker !== COM;
+};
+
+// Splits the file into [header segments, entropy-coded remainder starting at SOS].
+const parseSegments = (bytes) => {
+  if (!isJpeg(bytes)) throw new JpegError('Not a JPEG image.');
+  const segments = [];
+  let i = 2;
+  while (i < bytes.length) {
+    if (bytes[i] !== 0xff) throw new JpegError(`Corrupt JPEG marker at byte ${i}.`);
+    const marker = bytes[i + 1];
+    if (marker === 0xff) { i++; continue; }
+    if (marker === EOI) return { segments, tail: bytes.subarray(i) };
+    if (marker === SOS) return { segments, tail: bytes.subarray(i) };
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (length < 2 || i + 2 + length > bytes.length) throw new JpegError('Truncated JPEG segment.');
+    segments.push({ marker, start: i, end: i + 2 + length, payload: i + 4 });
+    i += 2 + length;
+  }
+  throw new JpegError('JPEG has no image data.');
+};
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  parts.reduce((offset, p) => { out.set(p, offset); return offset + p.length; }, 0);
+  return out;
+};
+
+const assemble = (bytes, segments, tail, insertAfterJfif = null) => {
+  const parts = [bytes.subarray(0, 2)];
+  let inserted = !insertAfterJfif;
+  segments.forEach((seg, index) => {
+    if (!inserted && !(index === 0 && seg.marker === APP0)) {
+      parts.push(insertAfterJfif);
+      inserted = true;
+    }
+    parts.push(bytes.subarray(seg.start, seg.end));
+  });
+  if (!inserted) parts.push(insertAfterJfif);
+  parts.push(tail);
+  return concat(parts);
+};
+
+export const stripJpegMetadata = (bytes) => {
+  const { segments, tail } = parseSegments(bytes);
+  return assemble(bytes, segments.filter(seg => keepSegment(seg.marker, bytes, seg.payload)), tail);
+};
+
+// --- XMP ---
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+const buildXmpPacket = (fields) => {
+  const properties = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `    <zenith:${key}>${escapeXml(value)}</zenith:${key}>`);
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:zenith="${XMP_NAMESPACE}">`,
+    ...properties,
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="r"?>'
+  ].join('\n');
+};
+
+const xmpSegment = (fields) => {
+  const payload = new TextEncoder().encode(XMP_HEADER + buildXmpPacket(fields));
+  if (payload.length > MAX_SEGMENT_PAYLOAD) throw new JpegError('XMP packet exceeds one JPEG segment.');
+  const length = payload.length + 2;
+  return concat([new Uint8Array([0xff, APP1, length >> 8, length & 0xff]), payload]);
+};
+
+// Strips metadata and writes `fields` (flat key -> string) as zenith:* XMP properties.
+export const embedXmp = (bytes, fields) => {
+  const { segments, tail } = parseSegments(bytes);
+  return assemble(bytes, segments.filter(seg => keepSegment(seg.marker, bytes, seg.payload)), tail, xmpSegment(fields));
+};
@@ -0,0 +1,65 @@
+// Run with `node --test`. Images are assembled segment by segment, so every marker the
+// scrubber sees is known.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stripJpegMetadata, embedXmp, isJpeg, JpegError, XMP_NAMESPACE } from './jpegMeta.js';
+
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+const segment = (marker, payload) => {
+  const length = payload.length + 2;
+  return [0xff, marker, length >> 8, length & 0xff, ...payload];
+};
+
+const SOI = [0xff, 0xd8];
+const JFIF = segment(0xe0, [...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+const EXIF = segment(0xe1, [...ascii('Exif\0\0'), ...ascii('GPS 51.5N 0.1W')]);
+const ICC = segment(0xe2, [...ascii('ICC_PROFILE\0'), 1, 1, 9, 9]);
+const COMMENT = segment(0xfe, ascii('shot on device #42'));
+const MAKER = segment(0xe9, ascii('maker notes'));
+const DQT = segment(0xdb, [0, ...Array(64).fill(1)]);
+const SOF = segment(0xc0, [8, 0, 2, 0, 2, 1, 1, 0x11, 0]);
+const SCAN = [...segment(0xda, [1, 1, 0, 0, 63, 0]), 0x12, 0xff, 0x00, 0x34, 0xff, 0xd9];
+
+const jpeg = (...parts) => Uint8Array.from([...SOI, ...parts.flat(), ...SCAN]);
+
+test('stripJpegMetadata drops EXIF, comments and maker segments but keeps JFIF, ICC and image data', () => {
+  const dirty = jpeg(JFIF, EXIF, ICC, COMMENT, MAKER, DQT, SOF);
+  assert.deepEqual(stripJpegMetadata(dirty), jpeg(JFIF, ICC, DQT, SOF));
+});
+
+test('a clean image passes through unchanged', () => {
+  const clean = jpeg(JFIF, DQT, SOF);
+  assert.deepEqual(stripJpegMetadata(clean), clean);
+});
+
+test('embedXmp writes one XMP segment after JFIF that stripJpegMetadata removes again', () => {
+  const original = jpeg(JFIF, DQT, SOF);
+  const tagged = embedXmp(original, { bits: '0101', mode: 'THERMAL <&>', empty: '' });
+  assert.ok(isJpeg(tagged));
+
+  const text = new TextDecoder().decode(tagged);
+  assert.ok(text.indexOf('http://ns.adobe.com/xap/1.0/') > text.indexOf('JFIF'));
+  assert.ok(text.includes(`xmlns:zenith="${XMP_NAMESPACE}"`));
+  assert.ok(text.includes('<zenith:mode>THERMAL &lt;&amp;&gt;</zenith:mode>'));
+  assert.ok(!text.includes('zenith:empty'));
+
+  assert.deepEqual(stripJpegMetadata(tagged), original);
+});
+
+test('embedXmp also scrubs whatever metadata the source carried', () => {
+  const tagged = embedXmp(jpeg(JFIF, EXIF, COMMENT, DQT, SOF), { bits: '1' });
+  assert.ok(!new TextDecoder().decode(tagged).includes('GPS'));
+  assert.deepEqual(stripJpegMetadata(tagged), jpeg(JFIF, DQT, SOF));
+});
+
+test('malformed input is rejected rather than passed through', () => {
+  assert.throws(() => stripJpegMetadata(Uint8Array.from(ascii('GIF89a'))), JpegError);
+  // A segment whose length runs past the end of the file.
+  assert.throws(() => stripJpegMetadata(Uint8Array.from([...SOI, 0xff, 0xe1, 0x40, 0x00, 1, 2, 3])), /Truncated JPEG segment/);
+  // Garbage where a marker should start.
+  assert.throws(() => stripJpegMetadata(Uint8Array.from([...SOI, ...JFIF, 0x00, 0x01])), /Corrupt JPEG marker/);
+  // Headers only, no scan.
+  assert.throws(() => stripJpegMetadata(Uint8Array.from([...SOI, ...JFIF, ...DQT])), /no image data/);
+});
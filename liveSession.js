@@ -0,0 +1,185 @@
+// Live session hub. The host fans its HUD state out to every viewer over any mix of
+// transports (tabs, WebRTC links); viewers mirror the latest state and may ask the host
+// to capture. Incoming state is validated before it reaches the UI.
+
+import { createBroadcastTransport, createRtcOffer, answerRtcOffer } from './sessionTransport';
+import { validateMode, ModeError } from './spectrumModes';
+
+export const SESSION_PROTOCOL = 1;
+export const SESSION_ROLES = ['HOST', 'VIEWER'];
+// MODE: spectrum mode switch. TELEPORT: register collapse. DECIPHER: recon card. STATUS: IBM link.
+export const SESSION_EVENTS = ['MODE', 'TELEPORT', 'DECIPHER', 'STATUS'];
+
+const MAX_BITS = 64;
+const MAX_ANALYSIS = 4000;
+const HARDWARE_STATES = ['DISCONNECTED', 'AUTHENTICATING', 'READY', 'BUSY'];
+
+const randomId = (length) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return [...crypto.getRandomValues(new Uint8Array(length))].map(b => alphabet[b % alphabet.length]).join('');
+};
+
+export const createSessionId = () => randomId(6);
+
+export const isSessionId = (text) => /^[A-Z0-9]{6}$/.test(text);
+
+// --- MIRRORED STATE ---
+// Only known fields survive; a malformed mode definition is dropped rather than rendered.
+export const sanitizeState = (raw) => {
+  if (!raw || typeof raw !== 'object') return {};
+  const state = {};
+  if (typeof raw.bits === 'string' && /^[01]*$/.test(raw.bits)) state.bits = raw.bits.substring(0, MAX_BITS);
+  if (Array.isArray(raw.register)) state.register = raw.register.slice(0, MAX_BITS).map(b => b === 1 ? 1 : 0);
+  if (Number.isFinite(raw.weight)) state.weight = raw.weight;
+  if (HARDWARE_STATES.includes(raw.hardwareStatus)) state.hardwareStatus = raw.hardwareStatus;
+  if (typeof raw.isTeleporting === 'boolean') state.isTeleporting = raw.isTeleporting;
+  if (typeof raw.analysis === 'string') state.analysis = raw.analysis.substring(0, MAX_ANALYSIS);
+  if (typeof raw.isAnalyzing === 'boolean') state.isAnalyzing = raw.isAnalyzing;
+  if (raw.modeDef !== undefined) {
+    try {
+      state.modeDef = validateMode(raw.modeDef);
+    } catch (err) {
+      if (!(err instanceof ModeError)) throw err;
+    }
+  }
+  return state;
+};
+
+// --- HUB ---
+// Callbacks: getState() (host), onRemoteState(state, event) and onCaptureDone(bits) (viewer),
+// onCaptureRequest(peerId) (host), onLinksChange(links) (both).
+export const createLiveSession = ({ role, sessionId, getState, onRemoteState, onCaptureRequest, onCaptureDone, onLinksChange }) => {
+  const peerId = randomId(8);
+  const links = new Map();
+  let nextLinkId = 1;
+  let remote = null;
+
+  const send = (link, message) => link.transport?.send({ v: SESSION_PROTOCOL, session: sessionId, from: peerId, ...message });
+  const broadcast = (message) => links.forEach(link => send(link, message));
+
+  const emitLinks = () => onLinksChange?.([...links.values()].map(({ id, kind, state, peers }) => ({ id, kind, state, peers: peers.size })));
+
+  const receive = (link, message) => {
+    if (message?.v !== SESSION_PROTOCOL || message.session !== sessionId || message.from === peerId) return;
+    const forMe = !message.to || message.to === peerId;
+    if (role === 'HOST') {
+      if (message.type === 'HELLO') {
+        link.peers.add(message.from);
+        emitLinks();
+        send(link, { type: 'SNAPSHOT', to: message.from, state: getState() });
+      } else if (message.type === 'BYE') {
+        link.peers.delete(message.from);
+        emitLinks();
+      } else if (message.type === 'CAPTURE_REQUEST') {
+        onCaptureRequest?.(message.from);
+      }
+      return;
+    }
+    if (message.type === 'SNAPSHOT' && forMe) {
+      link.peers.add(message.from);
+      remote = sanitizeState(message.state);
+      emitLinks();
+      onRemoteState?.(remote, 'SNAPSHOT');
+    } else if (message.type === 'EVENT' && remote && SESSION_EVENTS.includes(message.event)) {
+      remote = { ...remote, ...sanitizeState(message.patch) };
+      onRemoteState?.(remote, message.event);
+    } else if (message.type === 'CAPTURE_DONE' && forMe) {
+      onCaptureDone?.(typeof message.bits === 'string' ? message.bits.substring(0, MAX_BITS) : '');
+    } else if (message.type === 'BYE') {
+      link.peers.delete(message.from);
+      emitLinks();
+    }
+  };
+
+  const addLink = (kind) => {
+    const link = { id: nextLinkId++, kind, state: 'CONNECTING', peers: new Set(), transport: null };
+    links.set(link.id, link);
+    const handlers = {
+      onMessage: (message) => receive(link, message),
+      onStateChange: (state) => {
+        if (!links.has(link.id)) return;
+        link.state = state;
+        if (state === 'OPEN') send(link, role === 'HOST' ? { type: 'SNAPSHOT', state: getState() } : { type: 'HELLO' });
+        // A failed link never recovers, so it is closed and dropped like a closed one.
+        if (state === 'FAILED') return dropLink(link);
+        if (state === 'CLOSED') links.delete(link.id);
+        emitLinks();
+      }
+    };
+    emitLinks();
+    return { link, handlers };
+  };
+
+  const dropLink = (link) => {
+    links.delete(link.id);
+    link.transport?.close();
+    emitLinks();
+  };
+
+  return {
+    peerId,
+    role,
+    sessionId,
+
+    // Same-origin tabs, keyed by the session id.
+    openTabLink: () => {
+      const { link, handlers } = addLink('TAB');
+      try {
+        link.transport = createBroadcastTransport(sessionId, handlers);
+      } catch (err) {
+        dropLink(link);
+        throw err;
+      }
+    },
+
+    // Host: one offer per remote viewer; accept() takes the viewer's answer code.
+    offerRemoteLink: async (options) => {
+      const { link, handlers } = addLink('RTC');
+      try {
+        const { transport, offer, accept } = await createRtcOffer(handlers, { ...options, sessionId });
+        link.transport = transport;
+        return { linkId: link.id, offer, accept };
+      } catch (err) {
+        dropLink(link);
+        throw err;
+      }
+    },
+
+    // Viewer: resolves with the answer code for the host to accept.
+    answerRemoteLink: async (offerCode, options) => {
+      const { link, handlers } = addLink('RTC');
+      try {
+        const { transport, answer } = await answerRtcOffer(offerCode, handlers, options);
+        link.transport = transport;
+        return { linkId: link.id, answer };
+      } catch (err) {
+        dropLink(link);
+        throw err;
+      }
+    },
+
+    closeLink: (linkId) => {
+      const link = links.get(linkId);
+      if (!link) return;
+      send(link, { type: 'BYE' });
+      dropLink(link);
+    },
+
+    publish: (event, patch) => {
+      if (role === 'HOST') broadcast({ type: 'EVENT', event, patch });
+    },
+
+    requestCapture: () => {
+      if (role === 'VIEWER') broadcast({ type: 'CAPTURE_REQUEST' });
+    },
+
+    acknowledgeCapture: (to, bits) => {
+      if (role === 'HOST') broadcast({ type: 'CAPTURE_DONE', to, bits });
+    },
+
+    close: () => {
+      broadcast({ type: 'BYE' });
+      [...links.values()].forEach(dropLink);
+    }
+  };
+};
@@ -0,0 +1,92 @@
+// NEXUS access control: salted PIN hash, escalating lockout and relock preferences.
+// Only the PBKDF2 hash of the PIN is ever stored.
+
+const PIN_STORAGE_KEY = "zenith.lockpad.pin";
+const LOCKOUT_STORAGE_KEY = "zenith.lockpad.lockout";
+const RELOCK_STORAGE_KEY = "zenith.lockpad.relock";
+const HASH_ITERATIONS = 210000;
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+export const FREE_ATTEMPTS = 3;
+export const RELOCK_OPTIONS = [1, 5, 15, 0]; // minutes, 0 = never
+
+const BASE_LOCKOUT_MS = 30000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const isValidPin = (pin) => new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(pin);
+
+const hashPin = async (pin, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+  return new Uint8Array(bits);
+};
+
+// A record that does not decode (hand-edited, truncated) counts as no PIN at all.
+const readPinRecord = () => {
+  const record = readJson(PIN_STORAGE_KEY, null);
+  try {
+    return record && Number.isInteger(record.iterations)
+      ? { salt: fromBase64(record.salt), hash: fromBase64(record.hash), iterations: record.iterations }
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+export const hasPin = () => !!readPinRecord();
+
+export const storePin = async (pin) => {
+  if (!isValidPin(pin)) throw new RangeError(`PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits.`);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await hashPin(pin, salt, HASH_ITERATIONS);
+  localStorage.setItem(PIN_STORAGE_KEY, JSON.stringify({ salt: toBase64(salt), hash: toBase64(hash), iterations: HASH_ITERATIONS }));
+};
+
+export const verifyPin = async (pin) => {
+  const record = readPinRecord();
+  if (!record || !isValidPin(pin)) return false;
+  const expected = record.hash;
+  const actual = await hashPin(pin, record.salt, record.iterations);
+  // Constant-time comparison
+  let diff = expected.length ^ actual.length;
+  for (let i = 0; i < expected.length; i++) diff |= expected[i] ^ actual[i];
+  return diff === 0;
+};
+
+export const clearPin = () => localStorage.removeItem(PIN_STORAGE_KEY);
+
+// --- LOCKOUT ---
+// The first FREE_ATTEMPTS failures are free; each one after that doubles the delay.
+// State is persisted so a reload does not reset the clock.
+export const getLockout = () => readJson(LOCKOUT_STORAGE_KEY, { failures: 0, lockedUntil: 0 });
+
+export const recordFailure = () => {
+  const { failures } = getLockout();
+  const next = failures + 1;
+  const delay = next > FREE_ATTEMPTS ? Math.min(BASE_LOCKOUT_MS * 2 ** (next - FREE_ATTEMPTS - 1), MAX_LOCKOUT_MS) : 0;
+  const state = { failures: next, lockedUntil: delay ? Date.now() + delay : 0 };
+  localStorage.setItem(LOCKOUT_STORAGE_KEY, JSON.stringify(state));
+  return { ...state, delay };
+};
+
+export const resetLockout = () => localStorage.removeItem(LOCKOUT_STORAGE_KEY);
+
+// --- AUTO RELOCK ---
+export const getRelockMinutes = () => {
+  const minutes = readJson(RELOCK_STORAGE_KEY, 5);
+  return RELOCK_OPTIONS.includes(minutes) ? minutes : 5;
+};
+
+export const setRelockMinutes = (minutes) => localStorage.setItem(RELOCK_STORAGE_KEY, JSON.stringify(minutes));
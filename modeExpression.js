@@ -0,0 +1,154 @@
+// Safe arithmetic expressions of the qubit weight `w` for spectrum stage parameters.
+// Parsed by a small recursive-descent parser into closures; no eval or Function.
+//
+//   expr   := term (('+' | '-') term)*
+//   term   := unary (('*' | '/' | '%') unary)*
+//   unary  := '-' unary | power
+//   power  := atom ('^' unary)?
+//   atom   := number | 'w' | 'pi' | fn '(' expr (',' expr)* ')' | '(' expr ')'
+
+export const MAX_EXPRESSION_LENGTH = 200;
+
+const FUNCTIONS = {
+  abs: [1, Math.abs],
+  sqrt: [1, Math.sqrt],
+  sin: [1, Math.sin],
+  cos: [1, Math.cos],
+  floor: [1, Math.floor],
+  round: [1, Math.round],
+  min: [2, Math.min],
+  max: [2, Math.max],
+  pow: [2, Math.pow],
+  clamp: [3, (v, lo, hi) => Math.min(hi, Math.max(lo, v))],
+  mix: [3, (a, b, t) => a + (b - a) * t]
+};
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at ${position}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const tokenize = (source) => {
+  const tokens = [];
+  const re = /\s*(?:(\d+\.?\d*|\.\d+)|([a-z_]+)|(.))/gy;
+  let match;
+  while (re.lastIndex < source.length && (match = re.exec(source))) {
+    const position = match.index;
+    if (match[1] !== undefined) tokens.push({ kind: 'num', value: parseFloat(match[1]), position });
+    else if (match[2] !== undefined) tokens.push({ kind: 'id', value: match[2], position });
+    else if (match[3] !== undefined) {
+      if (!'+-*/%^(),'.includes(match[3])) throw new ExpressionError(`Unexpected "${match[3]}"`, position);
+      tokens.push({ kind: 'op', value: match[3], position });
+    }
+  }
+  return tokens;
+};
+
+export const compileExpression = (source) => {
+  const text = String(source ?? '').trim().toLowerCase();
+  if (!text) throw new ExpressionError('Empty expression');
+  if (text.length > MAX_EXPRESSION_LENGTH) throw new ExpressionError('Expression too long');
+  const tokens = tokenize(text);
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const isOp = (value) => peek()?.kind === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new ExpressionError(`Expected "${value}"`, peek()?.position ?? text.length);
+    i++;
+  };
+
+  const parseExpr = () => {
+    let left = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[i++].value;
+      const [a, b] = [left, parseTerm()];
+      left = op === '+' ? (w) => a(w) + b(w) : (w) => a(w) - b(w);
+    }
+    return left;
+  };
+
+  const parseTerm = () => {
+    let left = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[i++].value;
+      const [a, b] = [left, parseUnary()];
+      left = op === '*' ? (w) => a(w) * b(w) : op === '/' ? (w) => a(w) / b(w) : (w) => a(w) % b(w);
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      i++;
+      const a = parseUnary();
+      return (w) => -a(w);
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parseAtom();
+    if (!isOp('^')) return base;
+    i++;
+    const exponent = parseUnary();
+    return (w) => Math.pow(base(w), exponent(w));
+  };
+
+  const parseAtom = () => {
+    const token = peek();
+    if (!token) throw new ExpressionError('Unexpected end of expression', text.length);
+    if (token.kind === 'num') {
+      i++;
+      return () => token.value;
+    }
+    if (token.kind === 'id') {
+      i++;
+      if (token.value === 'w') return (w) => w;
+      if (token.value === 'pi') return () => Math.PI;
+      const fn = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+      if (!fn) throw new ExpressionError(`Unknown name "${token.value}"`, token.position);
+      const [arity, impl] = fn;
+      expect('(');
+      const args = [parseExpr()];
+      while (isOp(',')) {
+        i++;
+        args.push(parseExpr());
+      }
+      expect(')');
+      if (args.length !== arity) throw new ExpressionError(`${token.value}() takes ${arity} argument(s)`, token.position);
+      return (w) => impl(...args.map(arg => arg(w)));
+    }
+    if (isOp('(')) {
+      i++;
+      const inner = parseExpr();
+      expect(')');
+      return inner;
+    }
+    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const evaluate = parseExpr();
+  if (i < tokens.length) throw new ExpressionError(`Unexpected "${tokens[i].value}"`, tokens[i].position);
+  // Non-finite results (division by zero) collapse to 0 rather than poisoning the filter string.
+  return (w) => {
+    const value = evaluate(w);
+    return Number.isFinite(value) ? value : 0;
+  };
+};
+
+const cache = new Map();
+
+// Cached compile for per-frame use; throws ExpressionError on invalid input.
+export const evaluateExpression = (source, w) => {
+  let fn = cache.get(source);
+  if (!fn) {
+    fn = compileExpression(source);
+    if (cache.size > 500) cache.clear();
+    cache.set(source, fn);
+  }
+  return fn(w);
+};
@@ -0,0 +1,133 @@
+// Offline outbox: decipher requests and hardware jobs that could not reach their endpoint
+// wait here and are replayed once connectivity returns. Payloads hold captured frames, so
+// they are sealed under the vault key; kind and status stay readable for the header counts.
+
+import { promisify, openDatabase, withStore as withIdbStore, deleteDatabase } from './idb';
+import { sealValue, openSealed } from './vault';
+
+const DB_NAME = "zenith-outbox";
+const DB_VERSION = 1;
+const ITEMS = "items";
+
+export const MAX_OUTBOX_ITEMS = 100;
+export const MAX_ATTEMPTS = 5;
+
+// DECIPHER: vision request for a captured frame. HARDWARE: IBM teleport job submission.
+export const OUTBOX_KINDS = ['DECIPHER', 'HARDWARE'];
+
+export class OutboxError extends Error {
+  constructor(message, code = 'FAILED') {
+    super(message);
+    this.name = 'OutboxError';
+    this.code = code; // FAILED, FULL, LOCKED, DEFERRED (handler not ready; try again later)
+  }
+}
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, { [ITEMS]: { keyPath: 'id' } });
+const withStore = (mode, fn) => withIdbStore(openDb, ITEMS, mode, fn);
+
+// Network and timeout failures, or a browser that says it is offline, mean "try again later".
+// An error carrying a jobId came after IBM accepted the job, so it is not a free retry.
+export const isConnectivityError = (err) => !err?.jobId &&
+  (err?.code === 'NETWORK' || err?.code === 'TIMEOUT' || (typeof navigator !== 'undefined' && navigator.onLine === false));
+
+export const createOutboxItem = (kind, payload) => ({
+  id: `${kind.toLowerCase()}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  kind,
+  status: 'PENDING',
+  attempts: 0,
+  lastError: null,
+  jobId: null,
+  createdAt: new Date().toISOString(),
+  payload
+});
+
+const toRecord = async (key, { payload, ...meta }) => ({ ...meta, sealed: await sealValue(key, payload) });
+
+export const enqueueOutboxItem = async (key, item) => {
+  if (!key) throw new OutboxError('Vault is locked.', 'LOCKED');
+  const record = await toRecord(key, item);
+  await withStore('readwrite', async (store) => {
+    if (await promisify(store.count()) >= MAX_OUTBOX_ITEMS) throw new OutboxError(`Outbox is full (${MAX_OUTBOX_ITEMS} items).`, 'FULL');
+    store.put(record);
+  });
+};
+
+// Oldest first; records sealed under another key (e.g. before a vault wipe) are skipped.
+export const loadOutbox = async (key) => {
+  if (!key) throw new OutboxError('Vault is locked.', 'LOCKED');
+  const records = await withStore('readonly', store => promisify(store.getAll()));
+  const items = await Promise.all(records.map(async ({ sealed, ...meta }) => {
+    try {
+      return { ...meta, payload: await openSealed(key, sealed) };
+    } catch {
+      return null;
+    }
+  }));
+  return items.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const countOutbox = async () => {
+  const records = await withStore('readonly', store => promisify(store.getAll()));
+  return {
+    pending: records.filter(r => r.status === 'PENDING').length,
+    failed: records.filter(r => r.status === 'FAILED').length
+  };
+};
+
+const updateMeta = (id, patch) => withStore('readwrite', async (store) => {
+  const record = await promisify(store.get(id));
+  if (record) store.put({ ...record, ...patch });
+});
+
+// HARDWARE items remember the IBM job they submitted so a replay polls it instead of resubmitting.
+export const recordOutboxJob = (id, jobId) => updateMeta(id, { jobId });
+
+export const removeOutboxItem = (id) => withStore('readwrite', store => promisify(store.delete(id)));
+
+// Failed items go back to PENDING with a fresh attempt budget.
+export const retryFailedOutboxItems = () => withStore('readwrite', async (store) => {
+  const records = await promisify(store.getAll());
+  records.filter(r => r.status === 'FAILED').forEach(r => store.put({ ...r, status: 'PENDING', attempts: 0 }));
+});
+
+export const clearOutbox = () => deleteDatabase(DB_NAME);
+
+// --- REPLAY ---
+// `handlers` maps kind -> async (payload) => result. A connectivity error stops the drain
+// with the item still pending; DEFERRED skips the item; anything else costs an attempt and
+// fails the item after MAX_ATTEMPTS. onComplete(item, result) runs before the item is removed.
+export const drainOutbox = async (key, handlers, { onComplete, onFailure } = {}) => {
+  const summary = { completed: 0, failed: 0, deferred: 0, interrupted: false };
+  const items = (await loadOutbox(key)).filter(item => item.status === 'PENDING');
+  for (const item of items) {
+    const handler = handlers[item.kind];
+    if (!handler) {
+      summary.deferred++;
+      continue;
+    }
+    try {
+      const result = await handler(item.payload, item);
+      await onComplete?.(item, result);
+      await removeOutboxItem(item.id);
+      summary.completed++;
+    } catch (err) {
+      if (err instanceof OutboxError && err.code === 'DEFERRED') {
+        summary.deferred++;
+        continue;
+      }
+      if (isConnectivityError(err)) {
+        summary.interrupted = true;
+        break;
+      }
+      const attempts = item.attempts + 1;
+      const status = attempts >= MAX_ATTEMPTS ? 'FAILED' : 'PENDING';
+      await updateMeta(item.id, { attempts, status, lastError: err.message });
+      if (status === 'FAILED') {
+        summary.failed++;
+        onFailure?.(item, err);
+      }
+    }
+  }
+  return summary;
+};
@@ -0,0 +1,116 @@
+// Artifact provenance: each artifact's content bytes and metadata are hashed and signed
+// with a per-device ECDSA P-256 key kept non-extractable in IndexedDB. verify.html
+// re-implements verifyProvenance so exported bundles can be checked offline.
+
+import { promisify, openDatabase, withStore as withIdbStore } from './idb';
+import { isJpeg, stripJpegMetadata } from './jpegMeta';
+
+const DB_NAME = "zenith-provenance";
+const DB_VERSION = 1;
+const KEYS = "keys";
+const DEVICE_KEY_ID = "device";
+
+export const PROVENANCE_VERSION = 1;
+export const BUNDLE_FORMAT = 'zenith-artifact';
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+// VERIFIED: signed by this device. FOREIGN: valid signature from another device.
+// TAMPERED: content or metadata no longer matches the signature. UNSIGNED: predates signing.
+export const PROVENANCE_STATUS = ['VERIFIED', 'FOREIGN', 'TAMPERED', 'UNSIGNED'];
+
+const encoder = new TextEncoder();
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, { [KEYS]: { keyPath: 'id' } });
+const withStore = (mode, fn) => withIdbStore(openDb, KEYS, mode, fn);
+
+// --- ENCODING ---
+// Sorted keys and no whitespace, so signer and verifier serialize identically.
+export const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+export const dataUrlBytes = (url) => fromBase64(url.substring(url.indexOf(',') + 1));
+
+const sha256Hex = async (bytes) => toHex(await crypto.subtle.digest('SHA-256', bytes));
+
+// JPEG metadata segments are left out of the hash, so XMP written on export (or
+// scrubbed on import) does not invalidate the signature.
+const contentBytes = (url) => {
+  const bytes = dataUrlBytes(url);
+  return isJpeg(bytes) ? stripJpegMetadata(bytes) : bytes;
+};
+
+// The content bytes are represented by their hash; everything else is signed as-is.
+const signedPayload = async (artifact, { signedAt, keyId }) => {
+  const { url, provenance, ...meta } = artifact;
+  const contentHash = await sha256Hex(contentBytes(url));
+  return { contentHash, bytes: encoder.encode(canonicalize({ version: PROVENANCE_VERSION, keyId, signedAt, contentHash, meta })) };
+};
+
+// --- DEVICE KEY ---
+const publicKeyId = async (jwk) => (await sha256Hex(encoder.encode(canonicalize({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })))).substring(0, 32);
+
+const loadOrCreateDeviceKey = async () => {
+  const stored = await withStore('readonly', store => promisify(store.get(DEVICE_KEY_ID)));
+  if (stored) return stored;
+  const pair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  const publicJwk = { kty, crv, x, y };
+  const record = { id: DEVICE_KEY_ID, privateKey: pair.privateKey, publicJwk, keyId: await publicKeyId(publicJwk), createdAt: new Date().toISOString() };
+  await withStore('readwrite', store => promisify(store.put(record)));
+  return record;
+};
+
+let deviceKey = null;
+
+export const getDeviceKey = () => {
+  deviceKey ||= loadOrCreateDeviceKey().catch(err => {
+    deviceKey = null;
+    throw err;
+  });
+  return deviceKey;
+};
+
+// --- SIGN / VERIFY ---
+export const signArtifact = async (artifact) => {
+  const { privateKey, publicJwk, keyId } = await getDeviceKey();
+  const signedAt = new Date().toISOString();
+  const { contentHash, bytes } = await signedPayload(artifact, { signedAt, keyId });
+  const signature = await crypto.subtle.sign(SIGN_ALGORITHM, privateKey, bytes);
+  return {
+    ...artifact,
+    provenance: { version: PROVENANCE_VERSION, alg: 'ES256', keyId, publicKey: publicJwk, signedAt, contentHash, signature: toBase64(signature) }
+  };
+};
+
+// Checks the signature against the embedded public key; `trustedKeyId` decides VERIFIED vs FOREIGN.
+export const verifyProvenance = async (artifact, trustedKeyId = null) => {
+  const { provenance } = artifact;
+  if (!provenance) return { status: 'UNSIGNED' };
+  try {
+    if (await publicKeyId(provenance.publicKey) !== provenance.keyId) return { status: 'TAMPERED', reason: 'Key id does not match public key.' };
+    const key = await crypto.subtle.importKey('jwk', { ...provenance.publicKey, ext: true }, KEY_ALGORITHM, false, ['verify']);
+    const { contentHash, bytes } = await signedPayload(artifact, provenance);
+    if (contentHash !== provenance.contentHash) return { status: 'TAMPERED', reason: 'Content hash mismatch.' };
+    const valid = await crypto.subtle.verify(SIGN_ALGORITHM, key, fromBase64(provenance.signature), bytes);
+    if (!valid) return { status: 'TAMPERED', reason: 'Signature does not match metadata.' };
+    return { status: provenance.keyId === trustedKeyId ? 'VERIFIED' : 'FOREIGN' };
+  } catch (err) {
+    return { status: 'TAMPERED', reason: err.message };
+  }
+};
+
+// --- EXPORT ---
+export const createBundle = (artifact) => JSON.stringify({ format: BUNDLE_FORMAT, version: PROVENANCE_VERSION, artifact }, null, 2);
@@ -0,0 +1,44 @@
+// Installability and connectivity: registers sw.js, links the web manifest and reports
+// online/offline transitions to the outbox.
+
+const MANIFEST_URL = './manifest.webmanifest';
+const SERVICE_WORKER_URL = './sw.js';
+
+// The manifest link is added here so the app stays installable whichever page hosts it.
+const linkManifest = () => {
+  if (document.querySelector('link[rel="manifest"]')) return;
+  document.head.append(Object.assign(document.createElement('link'), { rel: 'manifest', href: MANIFEST_URL }));
+  if (!document.querySelector('meta[name="theme-color"]')) {
+    document.head.append(Object.assign(document.createElement('meta'), { name: 'theme-color', content: '#000000' }));
+  }
+};
+
+// Everything this page has loaded so far, for the worker to cache (see sw.js).
+const loadedUrls = () => [
+  location.href,
+  ...performance.getEntriesByType('resource').map(entry => entry.name)
+].filter(url => new URL(url).origin === location.origin);
+
+// Resolves with the registration, or null where service workers are unavailable (file://, old browsers).
+export const registerPwa = async () => {
+  linkManifest();
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const { active } = await navigator.serviceWorker.ready;
+  active?.postMessage({ type: 'CACHE_URLS', urls: loadedUrls() });
+  return registration;
+};
+
+export const isOnline = () => navigator.onLine !== false;
+
+// Calls back with true/false on connectivity changes; returns an unsubscribe function.
+export const watchConnectivity = (callback) => {
+  const onOnline = () => callback(true);
+  const onOffline = () => callback(false);
+  window.addEventListener('online', onOnline);
+  window.addEventListener('offline', onOffline);
+  return () => {
+    window.removeEventListener('online', onOnline);
+    window.removeEventListener('offline', onOffline);
+  };
+};
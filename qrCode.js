@@ -0,0 +1,288 @@
+// QR Code encoder (ISO/IEC 18004): byte mode, versions 1-40, all four error correction
+// levels, mask chosen by the standard penalty score. Used to show WebRTC signalling codes.
+
+export class QrError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QrError';
+  }
+}
+
+const ECL = { L: { ordinal: 0, formatBits: 1 }, M: { ordinal: 1, formatBits: 0 }, Q: { ordinal: 2, formatBits: 3 }, H: { ordinal: 3, formatBits: 2 } };
+
+// Indexed [ecl ordinal][version]; index 0 is unused.
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// --- CAPACITY ---
+const rawDataModules = (ver) => {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (ver, ecl) =>
+  Math.floor(rawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+
+const alignmentPositions = (ver) => {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = ver * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+};
+
+// --- REED-SOLOMON over GF(2^8), polynomial 0x11D ---
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const rsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data, divisor) => {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+};
+
+// Splits data into blocks, appends ECC to each and interleaves them.
+const addEccAndInterleave = (data, ver, ecl) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+// --- MATRIX ---
+const drawFormatBits = ({ size, setFunction }, ecl, mask) => {
+  const data = (ecl.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+  setFunction(8, 7, bit(6));
+  setFunction(8, 8, bit(7));
+  setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+  setFunction(8, size - 8, true);
+};
+
+const createMatrix = (ver) => {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = alignmentPositions(ver);
+  align.forEach((ay, i) => align.forEach((ax, j) => {
+    const last = align.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+  const matrix = { size, modules, isFunction, setFunction };
+  // Reserve the format areas with placeholder bits; the real ones are drawn once the mask is known.
+  drawFormatBits(matrix, ECL.L, 0);
+  return matrix;
+};
+
+const drawCodewords = ({ size, modules, isFunction }, codewords) => {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = ({ size, modules, isFunction }, mask) => {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+// Penalty rules N1-N4. Rule 3 looks for the finder-like 1:1:3:1:1 run with four light modules on one side.
+const penalty = ({ size, modules }) => {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(d => d ? '1' : '0').join(''));
+    lines.push(modules.map(row => row[i] ? '1' : '0').join(''));
+  }
+  lines.forEach(line => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { score += run.length - 2; });
+    score += 40 * ((`0000${line}0000`).match(/(?=00001011101|10111010000)/g) || []).length;
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+};
+
+// --- ENCODE ---
+// `mask` forces one of the eight mask patterns; by default the lowest-penalty mask wins.
+export const encodeQr = (text, { ecl: eclName = 'L', mask: forcedMask = null } = {}) => {
+  const ecl = ECL[eclName];
+  if (!ecl) throw new QrError(`Unknown error correction level ${eclName}.`);
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let ver = 1;
+  const countBits = (v) => v <= 9 ? 8 : 16;
+  while (ver <= 40 && 4 + countBits(ver) + bytes.length * 8 > dataCodewords(ver, ecl) * 8) ver++;
+  if (ver > 40) throw new QrError(`Payload of ${bytes.length} bytes exceeds QR capacity.`);
+
+  const bits = [];
+  const append = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  append(0x4, 4);
+  append(bytes.length, countBits(ver));
+  bytes.forEach(b => append(b, 8));
+  const capacity = dataCodewords(ver, ecl) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  const codewords = addEccAndInterleave(data, ver, ecl);
+
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    if (forcedMask !== null && mask !== forcedMask) continue;
+    const matrix = createMatrix(ver);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, ecl, mask);
+    const score = penalty(matrix);
+    if (!best || score < best.score) best = { score, matrix };
+  }
+  return { size: best.matrix.size, modules: best.matrix.modules };
+};
+
+// SVG path data with one unit square per dark module; render with a viewBox that adds a 4-module quiet zone.
+export const qrToSvgPath = ({ size, modules }) => {
+  const parts = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) if (modules[y][x]) parts.push(`M${x} ${y}h1v1h-1z`);
+  }
+  return parts.join('');
+};
@@ -0,0 +1,98 @@
+// Measurement analytics over the run history: per-qubit bias, outcome frequencies,
+// the weight trend and NIST SP 800-22 style randomness tests.
+
+export const SIGNIFICANCE = 0.01;
+export const MIN_TEST_BITS = 100;
+
+// Counts keys are in Qiskit order, so qubit q is character bitCount - 1 - q.
+export const qubitBias = (runs, bitCount) => {
+  const ones = new Array(bitCount).fill(0);
+  let shots = 0;
+  runs.forEach(run => Object.entries(run.counts || {}).forEach(([key, n]) => {
+    shots += n;
+    for (let q = 0; q < bitCount; q++) if (key[bitCount - 1 - q] === '1') ones[q] += n;
+  }));
+  return { ones, shots, bias: ones.map(n => shots ? n / shots : 0) };
+};
+
+// Aggregate shot frequencies, keyed qubit 0 first like the register bitstring.
+export const outcomeHistogram = (runs, limit = 16) => {
+  const totals = {};
+  runs.forEach(run => Object.entries(run.counts || {}).forEach(([key, n]) => { totals[key] = (totals[key] || 0) + n; }));
+  return Object.entries(totals)
+    .map(([key, count]) => ({ bitstring: key.split('').reverse().join(''), count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+export const weightTrend = (runs) => runs.map(({ time, weight, source }) => ({ time, weight, source }));
+
+// Qubits the ideal circuit leaves in an equal superposition; only these should look random.
+export const randomPositions = (expectedBias, tolerance = 0.01) =>
+  expectedBias.flatMap((p, q) => Math.abs(p - 0.5) < tolerance ? [q] : []);
+
+// The register bits the app actually consumed, in run order.
+export const registerBits = (runs, positions) =>
+  runs.flatMap(run => positions.map(q => run.bitstring[q] === '1' ? 1 : 0));
+
+// --- STATISTICS ---
+// Abramowitz & Stegun 7.1.26; absolute error below 1.5e-7.
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const r = poly * Math.exp(-z * z);
+  return x >= 0 ? r : 2 - r;
+};
+
+// Upper tail of chi-square via the Wilson-Hilferty cube-root normal approximation.
+const chiSquareTail = (x, df) => {
+  const z = (Math.cbrt(x / df) - (1 - 2 / (9 * df))) / Math.sqrt(2 / (9 * df));
+  return 0.5 * erfc(z / Math.SQRT2);
+};
+
+const verdict = (statistic, pValue, n) => ({ statistic, pValue, n, pass: pValue >= SIGNIFICANCE });
+
+// Frequency (monobit) test: are ones and zeros equally likely?
+export const monobitTest = (bits) => {
+  const n = bits.length;
+  if (n < MIN_TEST_BITS) return { n, insufficient: true };
+  const sum = bits.reduce((acc, b) => acc + (b ? 1 : -1), 0);
+  const statistic = Math.abs(sum) / Math.sqrt(n);
+  return verdict(statistic, erfc(statistic / Math.SQRT2), n);
+};
+
+// Runs test: do bits switch value as often as independent coin flips would?
+export const runsTest = (bits) => {
+  const n = bits.length;
+  if (n < MIN_TEST_BITS) return { n, insufficient: true };
+  const pi = bits.reduce((acc, b) => acc + b, 0) / n;
+  // NIST prerequisite: a failed frequency test makes the runs test meaningless.
+  if (Math.abs(pi - 0.5) >= 2 / Math.sqrt(n)) return verdict(0, 0, n);
+  let runs = 1;
+  for (let i = 1; i < n; i++) if (bits[i] !== bits[i - 1]) runs++;
+  const statistic = Math.abs(runs - 2 * n * pi * (1 - pi)) / (2 * Math.sqrt(2 * n) * pi * (1 - pi));
+  return verdict(runs, erfc(statistic), n);
+};
+
+// Goodness of fit of per-qubit ones across all shots against the ideal marginals.
+// Qubits with a deterministic ideal outcome have no variance and are left out.
+export const chiSquareTest = ({ ones, shots }, expectedBias) => {
+  const positions = expectedBias.flatMap((p, q) => p > 1e-9 && p < 1 - 1e-9 ? [q] : []);
+  if (shots < MIN_TEST_BITS || !positions.length) return { n: shots, insufficient: true };
+  const statistic = positions.reduce((acc, q) => {
+    const e1 = shots * expectedBias[q];
+    const e0 = shots - e1;
+    return acc + (ones[q] - e1) ** 2 / e1 + (shots - ones[q] - e0) ** 2 / e0;
+  }, 0);
+  return { ...verdict(statistic, chiSquareTail(statistic, positions.length), shots), df: positions.length };
+};
+
+export const randomnessReport = (runs, expectedBias) => {
+  const bits = registerBits(runs, randomPositions(expectedBias));
+  return {
+    monobit: monobitTest(bits),
+    runs: runsTest(bits),
+    chiSquare: chiSquareTest(qubitBias(runs, expectedBias.length), expectedBias)
+  };
+};
@@ -0,0 +1,41 @@
+// Teleport run history: every collapse, whether from the IBM link, the local simulator or
+// the simulator standing in for a missing link, persisted to IndexedDB with its counts.
+
+import { promisify, openDatabase, withStore as withIdbStore, pruneOldest } from './idb';
+
+const DB_NAME = "zenith-runs";
+const DB_VERSION = 1;
+const RUNS = "runs";
+
+export const MAX_RUNS = 500;
+
+// HARDWARE: IBM job. SIMULATOR: local run on request. FALLBACK: local run because the link was down.
+export const RUN_SOURCES = ['HARDWARE', 'SIMULATOR', 'FALLBACK'];
+
+export const createRun = ({ source, backend, shots, jobId = null, counts, bitstring, weight }) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  time: new Date().toISOString(),
+  source,
+  backend,
+  shots,
+  jobId,
+  counts,
+  bitstring,
+  weight
+});
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, { [RUNS]: { keyPath: 'seq', autoIncrement: true } });
+const withStore = (mode, fn) => withIdbStore(openDb, RUNS, mode, fn);
+
+export const appendRun = (run) => withStore('readwrite', async (store) => {
+  store.add(run);
+  await pruneOldest(store, MAX_RUNS);
+});
+
+// Oldest first, so trends read left to right.
+export const loadRuns = async () => {
+  const runs = await withStore('readonly', store => promisify(store.getAll()));
+  return runs.map(({ seq, ...run }) => run);
+};
+
+export const clearRuns = () => withStore('readwrite', store => promisify(store.clear()));
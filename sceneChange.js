@@ -0,0 +1,44 @@
+// Cheap perceptual frame comparison for continuous scan mode. Frames are reduced to a
+// small luma thumbnail; the difference is the mean absolute luma change in [0, 1].
+
+const SIGNATURE_WIDTH = 32;
+const SIGNATURE_HEIGHT = 24;
+
+let scratch = null;
+
+const getScratch = () => {
+  if (!scratch) {
+    scratch = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(SIGNATURE_WIDTH, SIGNATURE_HEIGHT)
+      : Object.assign(document.createElement('canvas'), { width: SIGNATURE_WIDTH, height: SIGNATURE_HEIGHT });
+  }
+  return scratch;
+};
+
+export const frameSignature = (video) => {
+  if (!video?.videoWidth) return null;
+  const ctx = getScratch().getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const luma = new Uint8Array(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    luma[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+  }
+  // Normalize out global exposure shifts so auto-exposure hunting is not a "change".
+  const mean = luma.reduce((a, b) => a + b, 0) / luma.length;
+  return Float32Array.from(luma, v => (v - mean) / 255);
+};
+
+export const frameDifference = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 1;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+  return sum / a.length;
+};
+
+// Decides whether a scan tick should trigger a decipher call.
+export const shouldAnalyze = ({ signature, lastSignature, lastRunAt, now = Date.now(), threshold, minInterval }) => {
+  if (now - lastRunAt < minInterval) return { trigger: false, difference: null };
+  const difference = frameDifference(signature, lastSignature);
+  return { trigger: difference >= threshold, difference };
+};
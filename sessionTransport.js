@@ -0,0 +1,176 @@
+// Live session transports. Each one carries JSON-safe messages between peers and has the
+// same shape, { kind, send(message), close() }, reporting through the onMessage and
+// onStateChange (CONNECTING, OPEN, CLOSED, FAILED) callbacks it was created with.
+
+export const SIGNAL_PREFIX = 'ZS1.';
+const ICE_GATHER_TIMEOUT_MS = 5000;
+const CHANNEL_LABEL = 'zenith-session';
+const SCAN_INTERVAL_MS = 400;
+
+export class SessionError extends Error {
+  constructor(message, code = 'FAILED') {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code; // UNSUPPORTED, SIGNAL, FAILED
+  }
+}
+
+// --- BROADCAST CHANNEL (same-origin tabs) ---
+export const supportsBroadcast = () => typeof BroadcastChannel !== 'undefined';
+
+export const createBroadcastTransport = (sessionId, { onMessage, onStateChange } = {}) => {
+  if (!supportsBroadcast()) throw new SessionError('BroadcastChannel is not available in this browser.', 'UNSUPPORTED');
+  const channel = new BroadcastChannel(`zenith-session-${sessionId}`);
+  let closed = false;
+  channel.onmessage = (e) => onMessage?.(e.data);
+  // Reported asynchronously so the caller has the transport in hand first.
+  queueMicrotask(() => { if (!closed) onStateChange?.('OPEN'); });
+  return {
+    kind: 'TAB',
+    send: (message) => { if (!closed) channel.postMessage(message); },
+    close: () => {
+      if (closed) return;
+      closed = true;
+      channel.close();
+      onStateChange?.('CLOSED');
+    }
+  };
+};
+
+// --- SIGNAL CODES ---
+// A session description plus the session id, as JSON deflated and base64url'd so it fits
+// a QR code or a paste.
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+export const encodeSignal = async ({ type, sdp }, session) => {
+  const json = new TextEncoder().encode(JSON.stringify({ t: type, s: sdp, i: session }));
+  return SIGNAL_PREFIX + toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')));
+};
+
+export const decodeSignal = async (code, expectedType) => {
+  const text = String(code || '').trim();
+  if (!text.startsWith(SIGNAL_PREFIX)) throw new SessionError('Not a Zenith session code.', 'SIGNAL');
+  let parsed;
+  try {
+    const bytes = await pipeBytes(fromBase64Url(text.substring(SIGNAL_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    parsed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new SessionError('Session code is corrupt or truncated.', 'SIGNAL');
+  }
+  if (parsed?.t !== expectedType || typeof parsed.s !== 'string') throw new SessionError(`Expected an ${expectedType} code.`, 'SIGNAL');
+  return { description: { type: parsed.t, sdp: parsed.s }, session: typeof parsed.i === 'string' ? parsed.i : null };
+};
+
+// --- WEBRTC DATA CHANNEL ---
+export const supportsRtc = () => typeof RTCPeerConnection !== 'undefined' && typeof CompressionStream !== 'undefined';
+
+// No trickle ICE: the code is produced once gathering finishes, so one exchange is enough.
+const gatherIce = (pc) => new Promise(resolve => {
+  if (pc.iceGatheringState === 'complete') return resolve();
+  const timer = setTimeout(done, ICE_GATHER_TIMEOUT_MS);
+  function done() {
+    clearTimeout(timer);
+    pc.removeEventListener('icegatheringstatechange', onChange);
+    resolve();
+  }
+  function onChange() { if (pc.iceGatheringState === 'complete') done(); }
+  pc.addEventListener('icegatheringstatechange', onChange);
+});
+
+// The viewer only gets its channel once the host's arrives, so it is attached late.
+const createRtcTransport = (pc, { onMessage, onStateChange }) => {
+  let channel = null;
+  let closed = false;
+  const setState = (state) => { if (!closed) onStateChange?.(state); };
+  pc.addEventListener('connectionstatechange', () => {
+    if (pc.connectionState === 'failed') setState('FAILED');
+  });
+  onStateChange?.('CONNECTING');
+  return {
+    kind: 'RTC',
+    attach: (next) => {
+      channel = next;
+      channel.onopen = () => setState('OPEN');
+      channel.onclose = () => setState('CLOSED');
+      channel.onmessage = (e) => {
+        let message;
+        try { message = JSON.parse(e.data); } catch { return; }
+        onMessage?.(message);
+      };
+    },
+    send: (message) => { if (channel?.readyState === 'open') channel.send(JSON.stringify(message)); },
+    close: () => {
+      if (closed) return;
+      channel?.close();
+      pc.close();
+      onStateChange?.('CLOSED');
+      closed = true;
+    }
+  };
+};
+
+// Host side. Without ICE servers only host candidates are offered, so peers must share a network.
+export const createRtcOffer = async (handlers, { sessionId, iceServers = [] } = {}) => {
+  if (!supportsRtc()) throw new SessionError('WebRTC is not available in this browser.', 'UNSUPPORTED');
+  const pc = new RTCPeerConnection({ iceServers });
+  const transport = createRtcTransport(pc, handlers);
+  transport.attach(pc.createDataChannel(CHANNEL_LABEL, { ordered: true }));
+  await pc.setLocalDescription(await pc.createOffer());
+  await gatherIce(pc);
+  return {
+    transport,
+    offer: await encodeSignal(pc.localDescription, sessionId),
+    accept: async (answerCode) => {
+      const { description, session } = await decodeSignal(answerCode, 'answer');
+      if (session !== sessionId) throw new SessionError('Answer belongs to another session.', 'SIGNAL');
+      await pc.setRemoteDescription(description);
+    }
+  };
+};
+
+// Viewer side: takes the host's offer code, resolves with the answer code to send back.
+export const answerRtcOffer = async (offerCode, handlers, { iceServers = [] } = {}) => {
+  if (!supportsRtc()) throw new SessionError('WebRTC is not available in this browser.', 'UNSUPPORTED');
+  const { description: offer, session } = await decodeSignal(offerCode, 'offer');
+  const pc = new RTCPeerConnection({ iceServers });
+  const transport = createRtcTransport(pc, handlers);
+  pc.addEventListener('datachannel', (e) => { if (e.channel.label === CHANNEL_LABEL) transport.attach(e.channel); });
+  try {
+    await pc.setRemoteDescription(offer);
+    await pc.setLocalDescription(await pc.createAnswer());
+    await gatherIce(pc);
+  } catch (err) {
+    transport.close();
+    throw new SessionError(`Offer rejected: ${err.message}`, 'SIGNAL');
+  }
+  return { transport, answer: await encodeSignal(pc.localDescription, session) };
+};
+
+// --- QR SCANNING ---
+export const supportsQrScan = () => typeof BarcodeDetector !== 'undefined';
+
+// Polls the optic feed until a session code shows up; rejects with AbortError when `signal` fires.
+export const scanSignalCode = async (video, { signal } = {}) => {
+  if (!supportsQrScan()) throw new SessionError('QR scanning is not available; paste the code instead.', 'UNSUPPORTED');
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  while (!signal?.aborted) {
+    if (video?.readyState >= 2) {
+      const codes = await detector.detect(video).catch(() => []);
+      const hit = codes.find(c => c.rawValue?.startsWith(SIGNAL_PREFIX));
+      if (hit) return hit.rawValue;
+    }
+    await new Promise(resolve => setTimeout(resolve, SCAN_INTERVAL_MS));
+  }
+  throw new DOMException('Scan cancelled.', 'AbortError');
+};
@@ -0,0 +1,218 @@
+// Spectrum pipeline: the visual modes expressed as ordered filter stages, rendered
+// identically for the live preview and for captured artifacts.
+
+import { evaluateExpression } from './modeExpression';
+
+const TELEPORT_STAGES = [['brightness', 1.5], ['grayscale', 1], ['blur', 10], ['invert', 0.1]];
+
+// Resolves a mode definition (see spectrumModes.js) at weight w into [fn, value] stages.
+export const getSpectrumStages = (mode, w, isTeleporting = false) => {
+  if (isTeleporting) return TELEPORT_STAGES;
+  return (mode?.stages || []).flatMap(({ fn, expr }) => {
+    try {
+      return [[fn, evaluateExpression(expr, w)]];
+    } catch {
+      return [];
+    }
+  });
+};
+
+const UNITS = { 'hue-rotate': 'deg', blur: 'px' };
+
+// blurScale converts CSS px (as seen on screen) into source pixels.
+export const stagesToCss = (stages, blurScale = 1) => stages
+  .map(([fn, value]) => `${fn}(${fn === 'blur' ? value * blurScale : value}${UNITS[fn] || ''})`)
+  .join(' ') || 'none';
+
+// Ratio of displayed pixels to source pixels for an object-cover box.
+export const coverScale = (srcW, srcH, boxW, boxH) =>
+  srcW && srcH && boxW && boxH ? Math.max(boxW / srcW, boxH / srcH) : 1;
+
+// --- PIXEL FALLBACK ---
+// Color matrices from the Filter Effects spec, used where ctx.filter is unavailable (Safari, some workers).
+const saturateMatrix = (s) => [
+  0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+];
+
+const hueRotateMatrix = (deg) => {
+  const a = deg * Math.PI / 180;
+  const c = Math.cos(a);
+  const s = Math.sin(a);
+  return [
+    0.213 + c * 0.787 - s * 0.213, 0.715 - c * 0.715 - s * 0.715, 0.072 - c * 0.072 + s * 0.928,
+    0.213 - c * 0.213 + s * 0.143, 0.715 + c * 0.285 + s * 0.140, 0.072 - c * 0.072 - s * 0.283,
+    0.213 - c * 0.213 - s * 0.787, 0.715 - c * 0.715 + s * 0.715, 0.072 + c * 0.928 + s * 0.072
+  ];
+};
+
+const grayscaleMatrix = (g) => {
+  const a = 1 - Math.min(1, g);
+  return [
+    0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a
+  ];
+};
+
+const sepiaMatrix = (sp) => {
+  const a = 1 - Math.min(1, sp);
+  return [
+    0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a,
+    0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a,
+    0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a
+  ];
+};
+
+const clamp = (v) => v < 0 ? 0 : v > 1 ? 1 : v;
+
+const applyMatrix = (px, m) => {
+  for (let i = 0; i < px.length; i += 4) {
+    const [r, g, b] = [px[i], px[i + 1], px[i + 2]];
+    px[i] = clamp(m[0] * r + m[1] * g + m[2] * b);
+    px[i + 1] = clamp(m[3] * r + m[4] * g + m[5] * b);
+    px[i + 2] = clamp(m[6] * r + m[7] * g + m[8] * b);
+  }
+};
+
+const applyTransfer = (px, fn) => {
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = clamp(fn(px[i]));
+    px[i + 1] = clamp(fn(px[i + 1]));
+    px[i + 2] = clamp(fn(px[i + 2]));
+  }
+};
+
+// Three box passes approximate a gaussian with the given standard deviation.
+const boxBlur = (px, width, height, sigma) => {
+  const radius = Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+  const tmp = new Float32Array(px.length);
+  const pass = (src, dst, horizontal) => {
+    const [outer, inner] = horizontal ? [height, width] : [width, height];
+    for (let o = 0; o < outer; o++) {
+      for (let c = 0; c < 4; c++) {
+        let acc = 0;
+        const at = (k) => {
+          const clampedK = k < 0 ? 0 : k >= inner ? inner - 1 : k;
+          return (horizontal ? o * width + clampedK : clampedK * width + o) * 4 + c;
+        };
+        for (let k = -radius; k <= radius; k++) acc += src[at(k)];
+        for (let k = 0; k < inner; k++) {
+          dst[at(k)] = acc / (2 * radius + 1);
+          acc += src[at(k + radius + 1)] - src[at(k - radius)];
+        }
+      }
+    }
+  };
+  for (let n = 0; n < 3; n++) {
+    pass(px, tmp, true);
+    pass(tmp, px, false);
+  }
+};
+
+export const applyStagesToImageData = (imageData, stages, blurScale = 1) => {
+  const { data, width, height } = imageData;
+  const px = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) px[i] = data[i] / 255;
+
+  stages.forEach(([fn, value]) => {
+    switch (fn) {
+      case 'brightness': return applyTransfer(px, c => c * value);
+      case 'contrast': return applyTransfer(px, c => (c - 0.5) * value + 0.5);
+      case 'invert': return applyTransfer(px, c => value * (1 - c) + (1 - value) * c);
+      case 'saturate': return applyMatrix(px, saturateMatrix(value));
+      case 'hue-rotate': return applyMatrix(px, hueRotateMatrix(value));
+      case 'grayscale': return applyMatrix(px, grayscaleMatrix(value));
+      case 'sepia': return applyMatrix(px, sepiaMatrix(value));
+      case 'opacity': {
+        for (let i = 3; i < px.length; i += 4) px[i] *= clamp(value);
+        return undefined;
+      }
+      case 'blur': return value * blurScale > 0 ? boxBlur(px, width, height, value * blurScale) : undefined;
+      default: return undefined;
+    }
+  });
+
+  for (let i = 0; i < data.length; i++) data[i] = Math.round(px[i] * 255);
+  return imageData;
+};
+
+// --- RENDERER ---
+let nativeFilterSupport = null;
+
+export const supportsCanvasFilter = () => {
+  if (nativeFilterSupport === null) {
+    const ctx = document.createElement('canvas').getContext('2d');
+    nativeFilterSupport = !!ctx && 'filter' in ctx && (ctx.filter = 'blur(1px)', ctx.filter === 'blur(1px)');
+  }
+  return nativeFilterSupport;
+};
+
+export const createSurface = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const drawHud = (ctx, width, height, hud) => {
+  const size = Math.max(12, Math.round(width / 60));
+  const lines = [
+    `ZENITH // ${hud.mode}`,
+    `BITS ${hud.bits}  W ${hud.weight}`,
+    hud.time
+  ].filter(Boolean);
+  const pad = size;
+  ctx.save();
+  ctx.font = `900 ${size}px ui-monospace, monospace`;
+  ctx.textBaseline = 'bottom';
+  const boxW = Math.max(...lines.map(l => ctx.measureText(l).width)) + pad * 2;
+  const boxH = lines.length * size * 1.4 + pad;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(pad, height - boxH - pad, boxW, boxH);
+  ctx.fillStyle = '#818cf8';
+  lines.forEach((line, i) => ctx.fillText(line, pad * 2, height - pad - pad / 2 - (lines.length - 1 - i) * size * 1.4));
+  ctx.restore();
+};
+
+// Draws one frame of `source` into `target` with mirroring, spectrum stages and an
+// optional burned-in HUD. `display` is the on-screen object-cover box, used so blur radii
+// match what the preview shows; `maxWidth` downscales the output. The result is
+// composited onto black, matching how the translucent preview sits on the app background.
+export const renderSpectrumFrame = (source, target, { stages, mirror = false, display = null, maxWidth = Infinity, hud = null }) => {
+  const srcW = source.videoWidth || source.width;
+  const srcH = source.videoHeight || source.height;
+  if (!srcW || !srcH) return null;
+  const ratio = Math.min(1, maxWidth / srcW);
+  const width = Math.round(srcW * ratio);
+  const height = Math.round(srcH * ratio);
+  if (target.width !== width) target.width = width;
+  if (target.height !== height) target.height = height;
+  const blurScale = display ? 1 / coverScale(width, height, display.width, display.height) : 1;
+
+  const ctx = target.getContext('2d', { willReadFrequently: !supportsCanvasFilter() });
+  ctx.save();
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  if (mirror) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+
+  if (supportsCanvasFilter()) {
+    ctx.filter = stagesToCss(stages, blurScale);
+    ctx.drawImage(source, 0, 0, width, height);
+  } else {
+    const scratch = createSurface(width, height);
+    const sctx = scratch.getContext('2d', { willReadFrequently: true });
+    sctx.drawImage(source, 0, 0, width, height);
+    sctx.putImageData(applyStagesToImageData(sctx.getImageData(0, 0, width, height), stages, blurScale), 0, 0);
+    ctx.drawImage(scratch, 0, 0);
+  }
+  ctx.restore();
+
+  if (hud) drawHud(ctx, width, height, hud);
+  return target;
+};
@@ -0,0 +1,133 @@
+// Spectrum mode definitions. Built-in modes and user modes share one JSON format:
+// ordered filter stages whose parameters are expressions of the qubit weight `w`.
+
+import { compileExpression, ExpressionError } from './modeExpression';
+
+const CUSTOM_MODES_STORAGE_KEY = "zenith.spectrum.modes";
+export const MODE_FORMAT_VERSION = 1;
+export const MAX_STAGES = 12;
+export const MAX_CUSTOM_MODES = 32;
+
+// Filter functions a stage may use, with their CSS unit.
+export const STAGE_FUNCTIONS = {
+  brightness: '',
+  contrast: '',
+  saturate: '',
+  grayscale: '',
+  sepia: '',
+  invert: '',
+  opacity: '',
+  'hue-rotate': 'deg',
+  blur: 'px'
+};
+
+// Icon names resolved to components by the UI.
+export const MODE_ICONS = ['Eye', 'LayoutGrid', 'Flame', 'Ghost', 'Moon', 'ShieldCheck', 'Atom', 'Orbit', 'Waves', 'Thermometer', 'Radio', 'Binary', 'Cpu', 'Gauge'];
+
+const DEFAULT_PROMPT = "Identify semantic blueprint nodes in this room being shaped by the {MODE} future.";
+
+export const PRESET_MODES = [
+  {
+    id: 'STANDARD', icon: 'Eye', headerIcon: 'ShieldCheck', prompt: DEFAULT_PROMPT, builtin: true,
+    stages: [{ fn: 'saturate', expr: '1.2 + w * 0.5' }, { fn: 'contrast', expr: '1.1 + w * 0.1' }]
+  },
+  {
+    id: 'MATRIX', icon: 'LayoutGrid', headerIcon: 'ShieldCheck', prompt: DEFAULT_PROMPT, builtin: true,
+    stages: [{ fn: 'contrast', expr: '2.5' }, { fn: 'grayscale', expr: '1' }, { fn: 'brightness', expr: '1.0 + w * 0.4' }, { fn: 'opacity', expr: '0.85' }]
+  },
+  {
+    id: 'HEAT', icon: 'Flame', headerIcon: 'Flame', prompt: DEFAULT_PROMPT, builtin: true,
+    stages: [{ fn: 'invert', expr: '1' }, { fn: 'hue-rotate', expr: '140 + (w * 140)' }, { fn: 'saturate', expr: '2.5 + w' }, { fn: 'contrast', expr: '1.6' }]
+  },
+  {
+    id: 'GHOST', icon: 'Ghost', headerIcon: 'Ghost', prompt: DEFAULT_PROMPT, builtin: true,
+    stages: [{ fn: 'brightness', expr: '1.4 + w * 0.5' }, { fn: 'contrast', expr: '1.8' }, { fn: 'saturate', expr: '0.0' }, { fn: 'hue-rotate', expr: '240' }, { fn: 'blur', expr: '0.5 + (1 - w)' }]
+  },
+  {
+    id: 'NIGHT', icon: 'Moon', headerIcon: 'ShieldCheck', prompt: DEFAULT_PROMPT, builtin: true,
+    stages: [{ fn: 'sepia', expr: '1' }, { fn: 'hue-rotate', expr: '100' }, { fn: 'brightness', expr: '1.2 + w * 1.5' }, { fn: 'contrast', expr: '1.1 + w' }, { fn: 'saturate', expr: '0.4' }]
+  }
+];
+
+export class ModeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModeError';
+  }
+}
+
+export const modePrompt = (mode) => (mode.prompt || DEFAULT_PROMPT).replace(/\{MODE\}/g, mode.id);
+
+// Validates and normalizes a mode definition; throws ModeError naming the bad field.
+export const validateMode = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new ModeError('Mode must be an object.');
+  const id = String(raw.id || '').trim().toUpperCase().replace(/[^A-Z0-9_]/g, '_').substring(0, 16);
+  if (!id) throw new ModeError('Mode needs a name.');
+  if (!Array.isArray(raw.stages) || !raw.stages.length) throw new ModeError(`${id}: at least one stage required.`);
+  if (raw.stages.length > MAX_STAGES) throw new ModeError(`${id}: at most ${MAX_STAGES} stages.`);
+  const stages = raw.stages.map((stage, i) => {
+    if (!Object.prototype.hasOwnProperty.call(STAGE_FUNCTIONS, stage?.fn)) throw new ModeError(`${id}: stage ${i + 1} has unknown filter "${stage?.fn}".`);
+    try {
+      compileExpression(stage.expr);
+    } catch (err) {
+      if (err instanceof ExpressionError) throw new ModeError(`${id}: stage ${i + 1} (${stage.fn}): ${err.message}`);
+      throw err;
+    }
+    return { fn: stage.fn, expr: String(stage.expr).trim() };
+  });
+  return {
+    id,
+    icon: MODE_ICONS.includes(raw.icon) ? raw.icon : 'Atom',
+    headerIcon: MODE_ICONS.includes(raw.headerIcon) ? raw.headerIcon : 'Atom',
+    prompt: typeof raw.prompt === 'string' && raw.prompt.trim() ? raw.prompt.trim().substring(0, 500) : DEFAULT_PROMPT,
+    stages
+  };
+};
+
+// --- STORAGE ---
+export const loadCustomModes = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_MODES_STORAGE_KEY) || "[]");
+    return stored.flatMap(mode => {
+      try {
+        return [validateMode(mode)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+export const saveCustomModes = (modes) => localStorage.setItem(CUSTOM_MODES_STORAGE_KEY, JSON.stringify(modes));
+
+// Custom modes may not shadow a preset.
+export const upsertMode = (modes, mode) => {
+  if (PRESET_MODES.some(p => p.id === mode.id)) throw new ModeError(`${mode.id} is a built-in preset name.`);
+  const exists = modes.some(m => m.id === mode.id);
+  if (!exists && modes.length >= MAX_CUSTOM_MODES) throw new ModeError(`At most ${MAX_CUSTOM_MODES} custom modes.`);
+  return exists ? modes.map(m => m.id === mode.id ? mode : m) : [...modes, mode];
+};
+
+// --- SHARING ---
+export const exportModes = (modes) => JSON.stringify({
+  format: 'zenith-spectrum-modes',
+  version: MODE_FORMAT_VERSION,
+  modes: modes.map(({ builtin, ...mode }) => mode)
+}, null, 2);
+
+// Accepts a bundle or a single mode. Imported names that collide with presets get a suffix.
+export const importModes = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new ModeError(`Not valid JSON: ${err.message}`);
+  }
+  const list = Array.isArray(data?.modes) ? data.modes : [data];
+  if (data?.version > MODE_FORMAT_VERSION) throw new ModeError(`Unsupported mode format version ${data.version}.`);
+  return list.map(validateMode).map(mode =>
+    PRESET_MODES.some(p => p.id === mode.id) ? { ...mode, id: `${mode.id}_X`.substring(0, 16) } : mode
+  );
+};
@@ -0,0 +1,159 @@
+// In-browser statevector simulator for the Zenith teleportation circuit.
+// Amplitudes are indexed little-endian (bit i of the index is qubit i), matching Qiskit.
+
+export const MAX_QUBITS = 20;
+
+const SQRT1_2 = Math.SQRT1_2;
+
+export const createState = (qubits) => {
+  if (qubits < 1 || qubits > MAX_QUBITS) throw new RangeError(`Simulator supports 1-${MAX_QUBITS} qubits.`);
+  const size = 1 << qubits;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  re[0] = 1;
+  return { qubits, re, im };
+};
+
+const applyH = ({ re, im }, q) => {
+  const mask = 1 << q;
+  for (let i = 0; i < re.length; i++) {
+    if (i & mask) continue;
+    const j = i | mask;
+    const [ar, ai, br, bi] = [re[i], im[i], re[j], im[j]];
+    re[i] = (ar + br) * SQRT1_2; im[i] = (ai + bi) * SQRT1_2;
+    re[j] = (ar - br) * SQRT1_2; im[j] = (ai - bi) * SQRT1_2;
+  }
+};
+
+const applyX = ({ re, im }, q) => {
+  const mask = 1 << q;
+  for (let i = 0; i < re.length; i++) {
+    if (i & mask) continue;
+    const j = i | mask;
+    [re[i], re[j]] = [re[j], re[i]];
+    [im[i], im[j]] = [im[j], im[i]];
+  }
+};
+
+const applyZ = ({ re, im }, q) => {
+  const mask = 1 << q;
+  for (let i = 0; i < re.length; i++) {
+    if (i & mask) { re[i] = -re[i]; im[i] = -im[i]; }
+  }
+};
+
+const applyCX = ({ re, im }, control, target) => {
+  const cMask = 1 << control;
+  const tMask = 1 << target;
+  for (let i = 0; i < re.length; i++) {
+    if (!(i & cMask) || (i & tMask)) continue;
+    const j = i | tMask;
+    [re[i], re[j]] = [re[j], re[i]];
+    [im[i], im[j]] = [im[j], im[i]];
+  }
+};
+
+export const probabilities = ({ re, im }) => {
+  const probs = new Float64Array(re.length);
+  for (let i = 0; i < re.length; i++) probs[i] = re[i] * re[i] + im[i] * im[i];
+  return probs;
+};
+
+// Projective Z measurement of one qubit; collapses and renormalizes the state.
+export const measureQubit = (state, q, rng = Math.random) => {
+  const { re, im } = state;
+  const mask = 1 << q;
+  let pOne = 0;
+  for (let i = 0; i < re.length; i++) if (i & mask) pOne += re[i] * re[i] + im[i] * im[i];
+  const outcome = rng() < pOne ? 1 : 0;
+  const norm = Math.sqrt(outcome ? pOne : 1 - pOne) || 1;
+  for (let i = 0; i < re.length; i++) {
+    if (((i & mask) ? 1 : 0) === outcome) { re[i] /= norm; im[i] /= norm; }
+    else { re[i] = 0; im[i] = 0; }
+  }
+  return outcome;
+};
+
+export const applyGate = (state, { gate, qubits }) => {
+  switch (gate) {
+    case 'h': return applyH(state, qubits[0]);
+    case 'x': return applyX(state, qubits[0]);
+    case 'z': return applyZ(state, qubits[0]);
+    case 'cx': return applyCX(state, qubits[0], qubits[1]);
+    default: throw new Error(`Unsupported gate: ${gate}`);
+  }
+};
+
+// Runs the unitary prefix of a circuit and returns the resulting state.
+export const evolve = (circuit) => {
+  const state = createState(circuit.qubits);
+  circuit.ops.forEach(op => { if (op.gate !== 'measure') applyGate(state, op); });
+  return state;
+};
+
+const sampleIndex = (cdf, r) => {
+  let lo = 0;
+  let hi = cdf.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] < r) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+const toKey = (value, width) => value.toString(2).padStart(width, '0');
+
+const isTerminal = (circuit) => {
+  const firstMeasure = circuit.ops.findIndex(op => op.gate === 'measure');
+  return firstMeasure === -1 || circuit.ops.slice(firstMeasure).every(op => op.gate === 'measure');
+};
+
+// Number of rng() calls simulate() makes, so a finite randomness pool can be sized up front.
+export const countRngDraws = (circuit, shots) =>
+  isTerminal(circuit) ? shots : shots * circuit.ops.filter(op => op.gate === 'measure').length;
+
+// Multi-shot run. Returns a counts histogram keyed in Qiskit order (highest classical bit first).
+// Circuits whose measurements are all terminal are sampled from one final distribution;
+// anything with gates after a measurement is re-simulated shot by shot.
+export const simulate = (circuit, { shots = 1024, rng = Math.random } = {}) => {
+  const measured = circuit.ops.filter(op => op.gate === 'measure').map(op => op.qubits[0]);
+  const terminal = isTerminal(circuit);
+  const counts = {};
+
+  if (terminal) {
+    const probs = probabilities(evolve(circuit));
+    const cdf = new Float64Array(probs.length);
+    probs.reduce((acc, p, i) => (cdf[i] = acc + p), 0);
+    for (let s = 0; s < shots; s++) {
+      const index = sampleIndex(cdf, rng() * cdf[cdf.length - 1]);
+      const value = measured.reduce((acc, q) => acc | (((index >> q) & 1) << q), 0);
+      const key = toKey(value, circuit.qubits);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  for (let s = 0; s < shots; s++) {
+    const state = createState(circuit.qubits);
+    let value = 0;
+    circuit.ops.forEach(op => {
+      if (op.gate === 'measure') {
+        const q = op.qubits[0];
+        value = (value & ~(1 << q)) | (measureQubit(state, q, rng) << q);
+      } else {
+        applyGate(state, op);
+      }
+    });
+    const key = toKey(value, circuit.qubits);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+// Probability that `qubit` reads `expected` once the unitary part of the circuit has run.
+export const qubitFidelity = (circuit, qubit, expected) => {
+  const probs = probabilities(evolve(circuit));
+  let p = 0;
+  for (let i = 0; i < probs.length; i++) if (((i >> qubit) & 1) === expected) p += probs[i];
+  return p;
+};
@@ -0,0 +1,82 @@
+// Run with `node --test`. A seeded rng keeps the sampled statistics reproducible.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, applyGate, measureQubit, probabilities, simulate, qubitFidelity, countRngDraws } from './statevector.js';
+import { buildTeleportCircuit } from './ibmQuantum.js';
+
+const seeded = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+};
+
+const bell = {
+  qubits: 2,
+  ops: [
+    { gate: 'h', qubits: [0] },
+    { gate: 'cx', qubits: [0, 1] },
+    { gate: 'measure', qubits: [0] },
+    { gate: 'measure', qubits: [1] }
+  ]
+};
+
+test('Bell pair only ever reads 00 or 11, about half each', () => {
+  const shots = 4000;
+  const counts = simulate(bell, { shots, rng: seeded(7) });
+  assert.deepEqual(Object.keys(counts).sort(), ['00', '11']);
+  assert.equal(counts['00'] + counts['11'], shots);
+  assert.ok(Math.abs(counts['00'] / shots - 0.5) < 0.03, `00 share ${counts['00'] / shots}`);
+});
+
+test('Bell pair statistics hold when re-simulated shot by shot', () => {
+  // A gate after a measurement forces the per-shot path through measureQubit.
+  const circuit = { ...bell, ops: [...bell.ops, { gate: 'x', qubits: [0] }, { gate: 'x', qubits: [0] }] };
+  const shots = 2000;
+  const counts = simulate(circuit, { shots, rng: seeded(11) });
+  assert.deepEqual(Object.keys(counts).sort(), ['00', '11']);
+  assert.ok(Math.abs(counts['00'] / shots - 0.5) < 0.04, `00 share ${counts['00'] / shots}`);
+});
+
+test('teleportation delivers every payload to bob with fidelity 1', () => {
+  const circuit = buildTeleportCircuit(12, '01*-');
+  assert.equal(circuit.payloads.length, 4);
+  circuit.payloads.forEach(({ bob, symbol }) => {
+    // |+> and |-> are checked in the X basis: one more H on bob maps them to |0> and |1>.
+    const xBasis = symbol === '*' || symbol === '-';
+    const checked = xBasis ? { ...circuit, ops: [...circuit.ops, { gate: 'h', qubits: [bob] }] } : circuit;
+    const expected = symbol === '1' || symbol === '-' ? 1 : 0;
+    assert.ok(Math.abs(qubitFidelity(checked, bob, expected) - 1) < 1e-12, `payload ${symbol} on qubit ${bob}`);
+  });
+});
+
+test('measureQubit collapses onto the outcome and renormalises', () => {
+  const state = createState(2);
+  applyGate(state, { gate: 'h', qubits: [0] });
+  applyGate(state, { gate: 'h', qubits: [1] });
+
+  const outcome = measureQubit(state, 0, () => 0.9); // P(1) = 0.5, so 0.9 reads 0
+  assert.equal(outcome, 0);
+  const probs = probabilities(state);
+  assert.ok(Math.abs(probs.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+  assert.equal(probs[1], 0);
+  assert.equal(probs[3], 0);
+  assert.ok(Math.abs(probs[0] - 0.5) < 1e-12);
+  assert.ok(Math.abs(probs[2] - 0.5) < 1e-12);
+
+  // A second measurement of the collapsed qubit is certain.
+  assert.equal(measureQubit(state, 0, () => 0), 0);
+});
+
+test('countRngDraws matches the rng() calls simulate makes', () => {
+  const count = (circuit) => {
+    let calls = 0;
+    const rng = seeded(17);
+    simulate(circuit, { shots: 100, rng: () => { calls++; return rng(); } });
+    return calls;
+  };
+  const midCircuit = { ...bell, ops: [...bell.ops, { gate: 'x', qubits: [0] }] };
+  const teleport = buildTeleportCircuit(10, '00**11--1');
+  [bell, midCircuit, teleport].forEach(circuit => assert.equal(countRngDraws(circuit, 100), count(circuit)));
+});
@@ -0,0 +1,61 @@
+// Service worker: keeps the app shell cached so Supreme.Nexus installs and boots offline.
+// Only same-origin GETs are cached; IBM, vision and other cross-origin calls always go
+// to the network (they carry tokens and must never be served stale).
+
+const CACHE = 'zenith-shell-v1';
+const SHELL = ['./', './manifest.webmanifest', './icon.svg', './verify.html'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('zenith-shell-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The first visit loads before this worker controls the page, so pwa.js hands over the URLs
+// that load fetched (module graph, styles); without them the shell would not boot offline.
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_URLS' || !Array.isArray(event.data.urls)) return;
+  const urls = event.data.urls.filter(url => new URL(url, self.location.href).origin === self.location.origin);
+  event.waitUntil(caches.open(CACHE).then(cache => Promise.all(urls.map(url =>
+    cache.match(url).then(hit => hit || fetch(url).then(response => response.ok && cache.put(url, response))).catch(() => {})
+  ))));
+});
+
+const putInCache = (request, response) => {
+  if (response.ok && response.type === 'basic') {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, cached shell when offline.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => putInCache(request, response))
+        .catch(() => caches.match(request).then(hit => hit || caches.match('./')))
+    );
+    return;
+  }
+
+  // Scripts, styles, icons: serve from cache and refresh in the background.
+  event.respondWith(
+    caches.match(request).then(hit => {
+      const network = fetch(request).then(response => putInCache(request, response));
+      if (!hit) return network;
+      network.catch(() => {});
+      return hit;
+    })
+  );
+});
@@ -0,0 +1,140 @@
+// SECURE_VAULT persistence: artifacts live in IndexedDB, sealed with AES-GCM under a
+// key derived from the access PIN. Nothing is readable until unlockVault succeeds.
+
+import { promisify, openDatabase, withStore as withIdbStore, withStores as withIdbStores, deleteDatabase } from './idb';
+
+const DB_NAME = "zenith-vault";
+const DB_VERSION = 1;
+const ARTIFACTS = "artifacts";
+const META = "meta";
+const PBKDF2_ITERATIONS = 310000;
+const VERIFIER_TEXT = "ZENITH_VAULT_OK";
+
+export class VaultError extends Error {
+  constructor(message, code = 'VAULT') {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code; // VAULT, BAD_KEY, LOCKED
+  }
+}
+
+const openDb = () => openDatabase(DB_NAME, DB_VERSION, {
+  [ARTIFACTS]: { keyPath: 'id' },
+  [META]: { keyPath: 'key' }
+});
+
+const withStore = (name, mode, fn) => withIdbStore(openDb, name, mode, fn);
+const withStores = (names, mode, fn) => withIdbStores(openDb, names, mode, fn);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Exported so stores holding vault-derived data (the outbox) are sealed under the same key.
+export const sealValue = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { iv, data: new Uint8Array(data) };
+};
+
+export const openSealed = async (key, { iv, data }) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return JSON.parse(decoder.decode(plain));
+};
+
+const deriveKey = async (pin, salt) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Derives the vault key from the PIN. On first use a salt and an encrypted verifier
+// are written; afterwards the verifier must decrypt or the PIN is rejected.
+export const unlockVault = async (pin) => {
+  const salt = await withStore(META, 'readwrite', async (store) => {
+    const existing = await promisify(store.get('salt'));
+    if (existing) return existing.value;
+    const fresh = crypto.getRandomValues(new Uint8Array(16));
+    store.put({ key: 'salt', value: fresh });
+    return fresh;
+  });
+  const key = await deriveKey(pin, salt);
+
+  const verifier = await withStore(META, 'readonly', store => promisify(store.get('verifier')));
+  if (!verifier) {
+    const sealed = await sealValue(key, VERIFIER_TEXT);
+    await withStore(META, 'readwrite', store => promisify(store.put({ key: 'verifier', value: sealed })));
+    return key;
+  }
+  try {
+    if (await openSealed(key, verifier.value) !== VERIFIER_TEXT) throw new Error();
+  } catch {
+    throw new VaultError('Vault key mismatch.', 'BAD_KEY');
+  }
+  return key;
+};
+
+export const saveArtifact = async (key, artifact) => {
+  if (!key) throw new VaultError('Vault is locked.', 'LOCKED');
+  const sealed = await sealValue(key, artifact);
+  await withStore(ARTIFACTS, 'readwrite', store => promisify(store.put({ id: artifact.id, ...sealed })));
+};
+
+// Records that fail to decrypt are skipped rather than aborting the whole load.
+export const loadArtifacts = async (key) => {
+  if (!key) throw new VaultError('Vault is locked.', 'LOCKED');
+  const records = await withStore(ARTIFACTS, 'readonly', store => promisify(store.getAll()));
+  const artifacts = await Promise.all(records.map(r => openSealed(key, r).catch(() => null)));
+  return artifacts.filter(Boolean).sort((a, b) => b.id - a.id);
+};
+
+// Best-effort shredding: the ciphertext is overwritten with random bytes before the
+// record is deleted.
+const shred = (store, record) => {
+  const noise = new Uint8Array(record.data.byteLength);
+  for (let i = 0; i < noise.length; i += 65536) crypto.getRandomValues(noise.subarray(i, i + 65536));
+  store.put({ id: record.id, iv: crypto.getRandomValues(new Uint8Array(12)), data: noise });
+  store.delete(record.id);
+};
+
+export const purgeArtifact = (id) => withStore(ARTIFACTS, 'readwrite', async (store) => {
+  const record = await promisify(store.get(id));
+  if (record) shred(store, record);
+});
+
+// Shreds every artifact, then drops the database including salt and verifier.
+export const wipeVault = async () => {
+  await withStore(ARTIFACTS, 'readwrite', async (store) => {
+    const records = await promisify(store.getAll());
+    records.forEach(record => shred(store, record));
+  });
+  await deleteDatabase(DB_NAME);
+};
+
+export const hasVault = () => withStore(META, 'readonly', async (store) => !!(await promisify(store.get('verifier'))));
+
+// Re-seals every artifact under a key derived from newPin. Everything is sealed in memory
+// first and written in one transaction with the new salt and verifier, so a failure at any
+// point leaves the vault readable under oldPin.
+export const rekeyVault = async (oldPin, newPin) => {
+  const artifacts = await loadArtifacts(await unlockVault(oldPin));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(newPin, salt);
+  const verifier = await sealValue(key, VERIFIER_TEXT);
+  const records = await Promise.all(artifacts.map(async artifact => ({ id: artifact.id, ...await sealValue(key, artifact) })));
+  const resealed = new Set(records.map(r => r.id));
+
+  await withStores([ARTIFACTS, META], 'readwrite', async ([artifactStore, metaStore]) => {
+    // Records that did not open under oldPin cannot be carried over.
+    const ids = await promisify(artifactStore.getAllKeys());
+    ids.filter(id => !resealed.has(id)).forEach(id => artifactStore.delete(id));
+    records.forEach(record => artifactStore.put(record));
+    metaStore.put({ key: 'salt', value: salt });
+    metaStore.put({ key: 'verifier', value: verifier });
+  });
+  return key;
+};
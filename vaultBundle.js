@@ -0,0 +1,128 @@
+// SECURE_VAULT bundles: one ZIP holding each artifact's media plus manifest.json with
+// the metadata and provenance. JPEGs leave with EXIF/GPS stripped and the Zenith fields
+// in XMP; on import the XMP is stripped again so the signed content hash still matches.
+
+import { createZip, readZip, ZipError } from './zip';
+import { embedXmp, stripJpegMetadata, isJpeg, JpegError } from './jpegMeta';
+import { dataUrlBytes } from './provenance';
+
+export const VAULT_BUNDLE_FORMAT = 'zenith-vault-bundle';
+export const VAULT_BUNDLE_VERSION = 1;
+export const MAX_BUNDLE_BYTES = 150 * 1048576;
+export const MAX_BUNDLE_ARTIFACTS = 200;
+const MAX_ENTRY_BYTES = 40 * 1048576;
+const MAX_ANALYSIS_XMP = 4000;
+const MANIFEST = 'manifest.json';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'video/webm': 'webm', 'video/mp4': 'mp4' };
+
+export class BundleError extends Error {
+  constructor(message, code = 'MALFORMED') {
+    super(message);
+    this.name = 'BundleError';
+    this.code = code; // MALFORMED, UNSUPPORTED, TOO_LARGE
+  }
+}
+
+const mediaTypeOf = (url) => url.substring(5, url.search(/[;,]/));
+
+const bytesToDataUrl = (bytes, mediaType) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 32768) binary += String.fromCharCode(...bytes.subarray(i, i + 32768));
+  return `data:${mediaType};base64,${btoa(binary)}`;
+};
+
+const xmpFields = (artifact) => ({
+  id: artifact.id,
+  mode: artifact.mode,
+  bits: artifact.bits,
+  weight: artifact.weight,
+  source: artifact.source,
+  backend: artifact.backend,
+  jobId: artifact.jobId,
+  time: artifact.time,
+  analysis: artifact.analysis?.substring(0, MAX_ANALYSIS_XMP),
+  keyId: artifact.provenance?.keyId,
+  contentHash: artifact.provenance?.contentHash,
+  signedAt: artifact.provenance?.signedAt
+});
+
+// --- EXPORT ---
+export const exportVaultBundle = (artifacts) => {
+  const entries = [];
+  const manifestArtifacts = artifacts.map(artifact => {
+    const { url, ...meta } = artifact;
+    const media = mediaTypeOf(url);
+    const extension = EXTENSIONS[media];
+    if (!extension) throw new BundleError(`Artifact ${artifact.id} has unsupported media ${media}.`, 'UNSUPPORTED');
+    const bytes = dataUrlBytes(url);
+    const file = `artifacts/${artifact.id}.${extension}`;
+    entries.push({ name: file, data: media === 'image/jpeg' ? embedXmp(bytes, xmpFields(artifact)) : bytes });
+    return { ...meta, file, media };
+  });
+  const manifest = {
+    format: VAULT_BUNDLE_FORMAT,
+    version: VAULT_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    artifacts: manifestArtifacts
+  };
+  return createZip([{ name: MANIFEST, data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) }, ...entries]);
+};
+
+// --- IMPORT ---
+const validateEntry = (entry, index, files) => {
+  const label = `Artifact ${index + 1}`;
+  if (!entry || typeof entry !== 'object') throw new BundleError(`${label} is not an object.`);
+  if (!Number.isFinite(entry.id)) throw new BundleError(`${label} has no numeric id.`);
+  if (typeof entry.bits !== 'string' || !/^[01]*$/.test(entry.bits)) throw new BundleError(`${label} has an invalid bitstring.`);
+  if (!EXTENSIONS[entry.media]) throw new BundleError(`${label} has unsupported media "${entry.media}".`, 'UNSUPPORTED');
+  if (typeof entry.file !== 'string' || !files.has(entry.file)) throw new BundleError(`${label} references missing file "${entry.file}".`);
+};
+
+// Resolves to the bundle's artifacts in vault form (media inlined as data URLs).
+export const importVaultBundle = async (file) => {
+  if (file.size > MAX_BUNDLE_BYTES) throw new BundleError(`Bundle is ${Math.round(file.size / 1048576)}MB (limit ${MAX_BUNDLE_BYTES / 1048576}MB).`, 'TOO_LARGE');
+
+  let files;
+  try {
+    files = await readZip(new Uint8Array(await file.arrayBuffer()), {
+      maxEntries: MAX_BUNDLE_ARTIFACTS + 1,
+      maxEntryBytes: MAX_ENTRY_BYTES,
+      maxTotalBytes: MAX_BUNDLE_BYTES
+    });
+  } catch (err) {
+    if (err instanceof ZipError) throw new BundleError(err.message, err.code);
+    throw err;
+  }
+
+  if (!files.has(MANIFEST)) throw new BundleError(`${MANIFEST} missing.`);
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(files.get(MANIFEST)));
+  } catch (err) {
+    throw new BundleError(`${MANIFEST} is not valid JSON: ${err.message}`);
+  }
+  if (manifest?.format !== VAULT_BUNDLE_FORMAT) throw new BundleError('Not a SECURE_VAULT bundle.', 'UNSUPPORTED');
+  if (manifest.version > VAULT_BUNDLE_VERSION) throw new BundleError(`Unsupported bundle version ${manifest.version}.`, 'UNSUPPORTED');
+  if (!Array.isArray(manifest.artifacts)) throw new BundleError(`${MANIFEST} lists no artifacts.`);
+  if (manifest.artifacts.length > MAX_BUNDLE_ARTIFACTS) throw new BundleError(`Bundle holds ${manifest.artifacts.length} artifacts (limit ${MAX_BUNDLE_ARTIFACTS}).`, 'TOO_LARGE');
+
+  const seen = new Set();
+  return manifest.artifacts.map((entry, index) => {
+    validateEntry(entry, index, files);
+    if (seen.has(entry.id)) throw new BundleError(`Artifact id ${entry.id} appears twice.`);
+    seen.add(entry.id);
+    const { file: name, media, ...meta } = entry;
+    let bytes = files.get(name);
+    if (media === 'image/jpeg') {
+      if (!isJpeg(bytes)) throw new BundleError(`${name} is not a JPEG.`);
+      try {
+        bytes = stripJpegMetadata(bytes);
+      } catch (err) {
+        if (err instanceof JpegError) throw new BundleError(`${name}: ${err.message}`);
+        throw err;
+      }
+    }
+    return { ...meta, url: bytesToDataUrl(bytes, media) };
+  });
+};
@@ -0,0 +1,199 @@
+// Vision backends for runDecipher. Every provider takes a prompt plus a base64 JPEG
+// and resolves to plain text; failures surface as VisionError with a specific code.
+// With `json: true` the provider is asked for a JSON-only response where supported.
+
+const SETTINGS_STORAGE_KEY = "zenith.vision.settings";
+
+export const VISION_PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    endpoint: "https://generativelanguage.googleapis.com/v1beta",
+    model: "gemini-2.5-flash-preview-09-2025",
+    needsKey: true
+  },
+  openai: {
+    label: 'OpenAI_Compatible',
+    endpoint: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    needsKey: true
+  },
+  ollama: {
+    label: 'Ollama_Local',
+    endpoint: "http://localhost:11434",
+    model: "llava",
+    needsKey: false
+  }
+};
+
+export const DEFAULT_VISION_SETTINGS = { provider: 'gemini', ...VISION_PROVIDERS.gemini, apiKey: "" };
+
+// Session storage only: keys are gone once the tab closes and never live in source.
+export const loadVisionSettings = () => {
+  try {
+    return { ...DEFAULT_VISION_SETTINGS, ...JSON.parse(sessionStorage.getItem(SETTINGS_STORAGE_KEY) || "{}") };
+  } catch {
+    return { ...DEFAULT_VISION_SETTINGS };
+  }
+};
+
+export const saveVisionSettings = (settings) => {
+  try {
+    sessionStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Session storage unavailable; settings stay in memory only.
+  }
+};
+
+const MESSAGES = {
+  CONFIG: 'Vision backend not configured.',
+  NETWORK: 'Vision endpoint unreachable (CORS/Network).',
+  TIMEOUT: 'Vision request timed out.',
+  ABORTED: 'Decipher aborted by operator.',
+  HTTP: 'Vision endpoint rejected request.',
+  SAFETY: 'Frame blocked by provider safety filter.',
+  EMPTY: 'Vision backend returned no candidates.',
+  MALFORMED: 'Vision backend returned malformed data.'
+};
+
+export class VisionError extends Error {
+  constructor(code, detail = null, status = null) {
+    super(MESSAGES[code] || code);
+    this.name = 'VisionError';
+    this.code = code;
+    this.detail = detail;
+    this.status = status;
+  }
+
+  get retryable() {
+    return this.code === 'NETWORK' || this.code === 'TIMEOUT' || (this.code === 'HTTP' && (this.status === 429 || this.status >= 500));
+  }
+}
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// --- PROVIDER ADAPTERS ---
+// Each adapter builds the request and extracts text from the response body.
+const adapters = {
+  gemini: {
+    request: ({ endpoint, model, apiKey }, { prompt, imageBase64, json }) => ({
+      url: `${trimSlash(endpoint)}/models/${model}:generateContent?key=${encodeURIComponent(apiKey)}`,
+      headers: {},
+      body: {
+        contents: [{ parts: [{ text: prompt }, { inlineData: { mimeType: "image/jpeg", data: imageBase64 } }] }],
+        ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+      }
+    }),
+    parse: (data) => {
+      if (data.promptFeedback?.blockReason) throw new VisionError('SAFETY', data.promptFeedback.blockReason);
+      const candidate = data.candidates?.[0];
+      if (!candidate) throw new VisionError('EMPTY');
+      if (candidate.finishReason === 'SAFETY' || candidate.finishReason === 'PROHIBITED_CONTENT') throw new VisionError('SAFETY', candidate.finishReason);
+      return candidate.content?.parts?.map(p => p.text).filter(Boolean).join('\n');
+    }
+  },
+  openai: {
+    request: ({ endpoint, model, apiKey }, { prompt, imageBase64, json }) => ({
+      url: `${trimSlash(endpoint)}/chat/completions`,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${imageBase64}` } }
+          ]
+        }],
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }
+    }),
+    parse: (data) => {
+      const choice = data.choices?.[0];
+      if (!choice) throw new VisionError('EMPTY');
+      if (choice.finish_reason === 'content_filter') throw new VisionError('SAFETY', 'content_filter');
+      if (choice.message?.refusal) throw new VisionError('SAFETY', choice.message.refusal);
+      return choice.message?.content;
+    }
+  },
+  ollama: {
+    request: ({ endpoint, model }, { prompt, imageBase64, json }) => ({
+      url: `${trimSlash(endpoint)}/api/generate`,
+      headers: {},
+      body: { model, prompt, images: [imageBase64], stream: false, ...(json ? { format: 'json' } : {}) }
+    }),
+    parse: (data) => data.response
+  }
+};
+
+const callOnce = async (settings, input, signal, timeout) => {
+  const adapter = adapters[settings.provider];
+  if (!adapter || !settings.endpoint || !settings.model) throw new VisionError('CONFIG');
+  if (VISION_PROVIDERS[settings.provider].needsKey && !settings.apiKey) throw new VisionError('CONFIG', 'API key required.');
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const { url, headers, body } = adapter.request(settings, input);
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (signal?.aborted) throw new VisionError('ABORTED');
+      if (timedOut) throw new VisionError('TIMEOUT');
+      throw new VisionError('NETWORK', err.message);
+    }
+    if (!response.ok) {
+      const errText = await response.text().catch(() => "");
+      throw new VisionError('HTTP', `[${response.status}] ${errText.substring(0, 80)}`, response.status);
+    }
+    const text = adapter.parse(await response.json());
+    if (!text || !text.trim()) throw new VisionError('EMPTY');
+    return text.trim();
+  } catch (err) {
+    if (signal?.aborted && !(err instanceof VisionError && err.code === 'ABORTED')) throw new VisionError('ABORTED');
+    if (timedOut && !(err instanceof VisionError)) throw new VisionError('TIMEOUT');
+    if (!(err instanceof VisionError)) throw new VisionError('MALFORMED', err.message);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new VisionError('ABORTED'));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new VisionError('ABORTED'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retries network, timeout, 429 and 5xx failures with exponential backoff.
+// onRetry(attempt, error, delay) is called before each wait.
+export const describeImage = async (settings, input, { signal, timeout = 30000, retries = 2, onRetry } = {}) => {
+  let delay = 1000;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await callOnce(settings, input, signal, timeout);
+    } catch (err) {
+      if (!(err instanceof VisionError) || !err.retryable || attempt >= retries) throw err;
+      onRetry?.(attempt + 1, err, delay);
+      await sleep(delay, signal);
+      delay *= 2;
+    }
+  }
+};
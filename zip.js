@@ -0,0 +1,170 @@
+// Minimal ZIP container support for vault bundles. Writing uses the STORE method (the
+// payloads are already-compressed JPEG/WebM); reading also accepts DEFLATE entries.
+
+export class ZipError extends Error {
+  constructor(message, code = 'MALFORMED') {
+    super(message);
+    this.name = 'ZipError';
+    this.code = code; // MALFORMED, UNSUPPORTED, TOO_LARGE
+  }
+}
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// --- WRITE ---
+// entries: [{ name, data: Uint8Array }]. Returns a Blob.
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
+
+// --- READ ---
+// Stops as soon as the output outgrows the declared size, so a lying header cannot
+// inflate without bound.
+const inflateRaw = async (bytes, expectedSize, name) => {
+  if (typeof DecompressionStream === 'undefined') throw new ZipError('DEFLATE entries unsupported in this browser.', 'UNSUPPORTED');
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const out = new Uint8Array(expectedSize);
+  let length = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (length + value.length > expectedSize) {
+        reader.cancel();
+        throw new ZipError(`${name} inflates beyond its declared size.`);
+      }
+      out.set(value, length);
+      length += value.length;
+    }
+  } catch (err) {
+    if (err instanceof ZipError) throw err;
+    throw new ZipError(`${name} has corrupt DEFLATE data.`);
+  }
+  return out.subarray(0, length);
+};
+
+const findEndOfCentral = (view) => {
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL) return i;
+  }
+  throw new ZipError('Not a ZIP archive.');
+};
+
+// Returns a Map of entry name -> bytes. Limits are enforced from the central directory
+// before anything is decompressed, and again on the decompressed size.
+export const readZip = async (bytes, { maxEntries = 1000, maxEntryBytes = Infinity, maxTotalBytes = Infinity } = {}) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentral(view);
+  const count = view.getUint16(eocd + 10, true);
+  let cursor = view.getUint32(eocd + 16, true);
+  if (count > maxEntries) throw new ZipError(`Archive holds ${count} entries (limit ${maxEntries}).`, 'TOO_LARGE');
+  if (cursor === 0xffffffff) throw new ZipError('ZIP64 archives are not supported.', 'UNSUPPORTED');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (cursor + 46 > view.byteLength || view.getUint32(cursor, true) !== CENTRAL_HEADER) throw new ZipError('Corrupt central directory.');
+    const flags = view.getUint16(cursor + 8, true);
+    const method = view.getUint16(cursor + 10, true);
+    const crc = view.getUint32(cursor + 16, true);
+    const compressedSize = view.getUint32(cursor + 20, true);
+    const size = view.getUint32(cursor + 24, true);
+    const nameLength = view.getUint16(cursor + 28, true);
+    const extraLength = view.getUint16(cursor + 30, true);
+    const commentLength = view.getUint16(cursor + 32, true);
+    const localOffset = view.getUint32(cursor + 42, true);
+    const name = decoder.decode(bytes.subarray(cursor + 46, cursor + 46 + nameLength));
+    cursor += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & 1) throw new ZipError(`${name} is encrypted.`, 'UNSUPPORTED');
+    if (method !== 0 && method !== 8) throw new ZipError(`${name} uses unsupported compression ${method}.`, 'UNSUPPORTED');
+    if (size > maxEntryBytes) throw new ZipError(`${name} exceeds ${Math.round(maxEntryBytes / 1048576)}MB.`, 'TOO_LARGE');
+    total += size;
+    if (total > maxTotalBytes) throw new ZipError(`Archive exceeds ${Math.round(maxTotalBytes / 1048576)}MB uncompressed.`, 'TOO_LARGE');
+    if (name.endsWith('/')) continue;
+
+    if (localOffset + 30 > view.byteLength || view.getUint32(localOffset, true) !== LOCAL_HEADER) throw new ZipError(`Corrupt local header for ${name}.`);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    if (dataStart + compressedSize > bytes.length) throw new ZipError(`${name} is truncated.`);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? await inflateRaw(raw, size, name) : raw;
+    if (data.length !== size || crc32(data) !== crc) throw new ZipError(`${name} failed its CRC check.`);
+    files.set(name, data);
+  }
+  return files;
+};
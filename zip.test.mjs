@@ -0,0 +1,82 @@
+// Run with `node --test`. readZip takes untrusted bundles, so the failure paths matter as much
+// as the round trip.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip, crc32, ZipError } from './zip.js';
+
+const CENTRAL_HEADER = 0x02014b50;
+
+const zipBytes = async (entries) => new Uint8Array(await createZip(entries).arrayBuffer());
+
+const centralOffsets = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const offsets = [];
+  for (let i = 0; i + 4 <= bytes.length; i++) if (view.getUint32(i, true) === CENTRAL_HEADER) offsets.push(i);
+  return offsets;
+};
+
+// Rewrites a STORE entry's central record as DEFLATE with the given uncompressed size and CRC.
+const asDeflate = (bytes, { size, crc }) => {
+  const [central] = centralOffsets(bytes);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  view.setUint16(central + 10, 8, true);
+  view.setUint32(central + 16, crc, true);
+  view.setUint32(central + 24, size, true);
+  return bytes;
+};
+
+const rejectsWith = (promise, code, pattern) => assert.rejects(promise, err => err instanceof ZipError && err.code === code && pattern.test(err.message));
+
+test('createZip output reads back entry for entry', async () => {
+  const entries = [
+    { name: 'manifest.json', data: new TextEncoder().encode('{"format":"zenith"}') },
+    { name: 'artifacts/ü-1.jpg', data: Uint8Array.from({ length: 5000 }, (_, i) => (i * 31) & 0xff) },
+    { name: 'empty.bin', data: new Uint8Array(0) }
+  ];
+  const files = await readZip(await zipBytes(entries));
+  assert.deepEqual([...files.keys()], entries.map(e => e.name));
+  entries.forEach(({ name, data }) => assert.deepEqual(files.get(name), data));
+});
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('a corrupted payload byte fails the CRC check', async () => {
+  const data = new TextEncoder().encode('sealed artifact payload');
+  const bytes = await zipBytes([{ name: 'a.txt', data }]);
+  bytes[30 + 'a.txt'.length + 3] ^= 0x01;
+  await rejectsWith(readZip(bytes), 'MALFORMED', /a\.txt failed its CRC check/);
+});
+
+test('limits are enforced from the central directory before anything is read', async () => {
+  const bytes = await zipBytes([
+    { name: 'small', data: new Uint8Array(10) },
+    { name: 'big', data: new Uint8Array(2048) }
+  ]);
+  await rejectsWith(readZip(bytes, { maxEntryBytes: 1024 }), 'TOO_LARGE', /big exceeds/);
+  await rejectsWith(readZip(bytes, { maxEntries: 1 }), 'TOO_LARGE', /2 entries \(limit 1\)/);
+  await rejectsWith(readZip(bytes, { maxTotalBytes: 1024 }), 'TOO_LARGE', /uncompressed/);
+});
+
+test('DEFLATE entries inflate and are checked against their declared size and CRC', async () => {
+  const plain = new TextEncoder().encode('zenith '.repeat(500));
+  const good = asDeflate(await zipBytes([{ name: 'log.txt', data: deflateRawSync(plain) }]), { size: plain.length, crc: crc32(plain) });
+  assert.deepEqual((await readZip(good)).get('log.txt'), plain);
+
+  // A header that under-declares the size cannot make readZip inflate without bound.
+  const bomb = new Uint8Array(1 << 20);
+  const lying = asDeflate(await zipBytes([{ name: 'bomb.bin', data: deflateRawSync(bomb) }]), { size: 1024, crc: crc32(bomb.subarray(0, 1024)) });
+  await rejectsWith(readZip(lying), 'MALFORMED', /bomb\.bin inflates beyond its declared size/);
+});
+
+test('input that is not a ZIP, or whose directory points nowhere, is rejected', async () => {
+  await rejectsWith(readZip(new TextEncoder().encode('definitely not a zip archive')), 'MALFORMED', /Not a ZIP archive/);
+
+  const bytes = await zipBytes([{ name: 'a.txt', data: new Uint8Array(4) }]);
+  const [central] = centralOffsets(bytes);
+  new DataView(bytes.buffer).setUint32(central + 42, 9999, true);
+  await rejectsWith(readZip(bytes), 'MALFORMED', /Corrupt local header for a\.txt/);
+});